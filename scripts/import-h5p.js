@@ -0,0 +1,82 @@
+#!/usr/bin/env node
+/**
+ * Imports many .h5p packages at once and prints a report per file.
+ * Usage: npm run import -- <directory | archive.zip | file.h5p> [--user <username>]
+ *
+ * Content is created as the given user (default: the first administrator).
+ * Packages that were already imported or whose title already exists are
+ * skipped. Exits with code 1 if any package failed.
+ */
+const path = require('path');
+
+const initI18next = require('../src/initI18next');
+const createH5PEditor = require('../src/createH5PEditor');
+const { bulkImport } = require('../src/bulkImport');
+const contentIndex = require('../src/contentIndex');
+const userStorage = require('../src/auth/userStorage');
+const { can } = require('../src/auth/permissions');
+const User = require('../src/User');
+
+function parseArgs(argv) {
+  const args = { source: undefined, username: undefined };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--user') {
+      args.username = argv[++i];
+    } else if (!args.source) {
+      args.source = argv[i];
+    }
+  }
+  return args;
+}
+
+async function findUser(username) {
+  const account = username
+    ? await userStorage.getByUsername(username)
+    : (await userStorage.list()).find((u) => u.role === 'admin');
+  if (!account) {
+    throw new Error(username
+      ? `User "${username}" does not exist`
+      : 'No administrator account exists yet. Start the server and register first.');
+  }
+  const user = new User(account);
+  if (!can(user, 'content:create')) {
+    throw new Error(`User "${user.username}" is not allowed to create content`);
+  }
+  return user;
+}
+
+async function main() {
+  const { source, username } = parseArgs(process.argv.slice(2));
+  if (!source) {
+    console.error('Usage: npm run import -- <directory | archive.zip | file.h5p> [--user <username>]');
+    process.exit(2);
+  }
+
+  const i18next = await initI18next();
+  const t = i18next.getFixedT('en', 'server');
+  const { h5pEditor } = await createH5PEditor(t);
+  const user = await findUser(username);
+  // Duplicate detection uses the index, so it must know all existing content
+  await contentIndex.sync(h5pEditor);
+
+  console.log(`Importing ${path.resolve(source)} as ${user.username}...`);
+  const report = await bulkImport(h5pEditor, path.resolve(source), user, t);
+
+  for (const r of report.results) {
+    if (r.status === 'imported') {
+      console.log(`  imported  ${r.file} -> ${r.contentId} "${r.title}"`);
+    } else if (r.status === 'skipped') {
+      console.log(`  skipped   ${r.file}: ${r.message} (${r.contentId})`);
+    } else {
+      console.log(`  FAILED    ${r.file}: ${r.message.replace(/\n/g, '\n            ')}`);
+    }
+  }
+  console.log('');
+  console.log(`${report.imported} imported, ${report.skipped} skipped, ${report.failed} failed`);
+  process.exit(report.failed > 0 ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error('Import failed:', err.message);
+  process.exit(1);
+});
@@ -1,15 +1,19 @@
 /**
- * Simple user model implementing IUser interface required by @lumieducation/h5p-server.
+ * User model implementing IUser interface required by @lumieducation/h5p-server.
+ * Built from a logged-in account (see auth/userStorage.js) on every request.
+ * What the user may do is decided by their role (see auth/permissions.js).
  */
 class User {
-  constructor() {
-    this.id = '1';
-    this.name = 'H5P User';
-    this.email = 'user@example.com';
+  /**
+   * @param {{ id: string, username: string, name: string, email: string, role: string }} account
+   */
+  constructor(account) {
+    this.id = account.id;
+    this.username = account.username;
+    this.name = account.name || account.username;
+    this.email = account.email;
     this.type = 'local';
-    this.canInstallRecommended = true;
-    this.canUpdateAndInstallLibraries = true;
-    this.canCreateRestricted = true;
+    this.role = account.role;
   }
 }
 
@@ -0,0 +1,210 @@
+const express = require('express');
+const { LibraryName } = require('@lumieducation/h5p-server');
+const contentIndex = require('./contentIndex');
+const contentHistory = require('./contentHistory');
+const trash = require('./trash');
+const pathStorage = require('./learningPath/storage');
+const copyContent = require('./copyContent');
+const { contentFilename } = require('./downloadPackages');
+const { parseListQuery, queryContent } = require('./contentList');
+const { formatImportError } = require('./importPackage');
+const { requirePermission } = require('./auth/permissions');
+
+/**
+ * Error with an HTTP status code, used to end a request early.
+ */
+class ApiError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+/**
+ * Creates the versioned JSON API for H5P content (mounted at /api/v1).
+ *
+ * Content is sent and returned as
+ * `{ id, library, metadata, params, folder, tags, embeddable, ... }` where `library` is
+ * the main library as "H5P.MultiChoice 1.16". Errors are returned as
+ * `{ error }` with a 4xx or 5xx status.
+ * @param {import('@lumieducation/h5p-server').H5PEditor} h5pEditor
+ * @param {import('@lumieducation/h5p-server').PackageExporter} packageExporter
+ * @returns {express.Router}
+ */
+function createApiRoutes(h5pEditor, packageExporter) {
+  const router = express.Router();
+
+  async function loadContent(contentId, user) {
+    if (!/^[\w-]+$/.test(contentId) || !(await h5pEditor.contentStorage.contentExists(contentId))
+      || await contentIndex.isTrashed(contentId)) {
+      throw new ApiError(404, `Content ${contentId} not found`);
+    }
+    const metadata = await h5pEditor.contentManager.getContentMetadata(contentId, user);
+    const params = await h5pEditor.contentManager.getContentParameters(contentId, user);
+    const mainLibrary = (metadata.preloadedDependencies || []).find(
+      (dep) => dep.machineName === metadata.mainLibrary
+    );
+    const entry = (await contentIndex.get(contentId)) || {};
+    return {
+      ...entry,
+      id: String(contentId),
+      library: mainLibrary ? LibraryName.toUberName(mainLibrary, { useWhitespace: true }) : metadata.mainLibrary,
+      metadata,
+      params,
+    };
+  }
+
+  /**
+   * Check the request body of POST and PUT. For updates, library and
+   * metadata default to those of the existing content.
+   */
+  function parseBody(body, existing) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new ApiError(400, 'Expected a JSON object');
+    }
+    const library = body.library || (existing && existing.library);
+    if (typeof library !== 'string' || !/^\S+ \d+\.\d+$/.test(library)) {
+      throw new ApiError(400, 'library must be the main library with version, e.g. "H5P.MultiChoice 1.16"');
+    }
+    if (!body.params || typeof body.params !== 'object') {
+      throw new ApiError(400, 'params must be an object with the content parameters');
+    }
+    const metadata = { ...(existing ? existing.metadata : { license: 'U' }), ...(body.metadata || {}) };
+    if (!metadata.title) {
+      throw new ApiError(400, 'metadata.title is required');
+    }
+    return { library, params: body.params, metadata };
+  }
+
+  async function save(contentId, body, user) {
+    const { library, params, metadata } = parseBody(body, contentId && (await loadContent(contentId, user)));
+    const libraryName = LibraryName.fromUberName(library, { useWhitespace: true });
+    if (!(await h5pEditor.libraryManager.libraryExists(libraryName))) {
+      throw new ApiError(422, `Library ${library} is not installed`);
+    }
+    if (contentId) await contentHistory.recordInitial(h5pEditor, contentId, user);
+    const content = await h5pEditor.saveOrUpdateContentReturnMetaData(
+      contentId,
+      params,
+      metadata,
+      library,
+      user
+    );
+    const id = String(content.id);
+    await contentIndex.update(h5pEditor, id);
+    await contentHistory.record(h5pEditor, id, user, contentId ? 'edited via API' : 'created via API');
+    if (body.folder !== undefined || body.tags !== undefined || body.embeddable !== undefined) {
+      await contentIndex.organize(id, {
+        folder: body.folder,
+        tags: body.tags,
+        embeddable: body.embeddable === undefined ? undefined : !!body.embeddable,
+      });
+    }
+    return loadContent(id, user);
+  }
+
+  function sendError(res, err, t) {
+    if (err instanceof ApiError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    // H5P errors (e.g. unknown library, invalid parameters) carry their status
+    const status = err.httpStatusCode >= 400 && err.httpStatusCode < 500 ? err.httpStatusCode : 500;
+    res.status(status).json({ error: formatImportError(err, t) });
+  }
+
+  // List content; accepts the same query parameters as the homepage
+  router.get('/content', async (req, res) => {
+    try {
+      res.json(queryContent(await contentIndex.list(), parseListQuery(req.query)));
+    } catch (err) {
+      sendError(res, err, req.t);
+    }
+  });
+
+  router.get('/content/:contentId', async (req, res) => {
+    try {
+      res.json(await loadContent(req.params.contentId, req.user));
+    } catch (err) {
+      sendError(res, err, req.t);
+    }
+  });
+
+  // Learning paths (and their nodes) that use the content
+  router.get('/content/:contentId/usage', async (req, res) => {
+    try {
+      await loadContent(req.params.contentId, req.user);
+      res.json(await pathStorage.findByContentId(req.params.contentId));
+    } catch (err) {
+      sendError(res, err, req.t);
+    }
+  });
+
+  // The content as .h5p package
+  router.get('/content/:contentId/package', async (req, res) => {
+    try {
+      const content = await loadContent(req.params.contentId, req.user);
+      res.attachment(contentFilename(content.metadata.title, content.id, 'h5p'));
+      await packageExporter.createPackage(content.id, res, req.user);
+    } catch (err) {
+      if (res.headersSent) return res.destroy(err);
+      // Otherwise clients would save the error as the package
+      res.removeHeader('Content-Disposition');
+      sendError(res, err, req.t);
+    }
+  });
+
+  router.post('/content', requirePermission('content:create'), async (req, res) => {
+    try {
+      const content = await save(undefined, req.body, req.user);
+      res.status(201).location(`${req.baseUrl}/content/${content.id}`).json(content);
+    } catch (err) {
+      sendError(res, err, req.t);
+    }
+  });
+
+  router.post('/content/:contentId/copy', requirePermission('content:create'), async (req, res) => {
+    try {
+      await loadContent(req.params.contentId, req.user);
+      const copy = await loadContent(await copyContent(h5pEditor, req.params.contentId, req.user), req.user);
+      res.status(201).location(`${req.baseUrl}/content/${copy.id}`).json(copy);
+    } catch (err) {
+      sendError(res, err, req.t);
+    }
+  });
+
+  router.put('/content/:contentId', requirePermission('content:edit'), async (req, res) => {
+    try {
+      res.json(await save(req.params.contentId, req.body, req.user));
+    } catch (err) {
+      sendError(res, err, req.t);
+    }
+  });
+
+  router.delete('/content/:contentId', requirePermission('content:delete'), async (req, res) => {
+    try {
+      const { contentId } = req.params;
+      await loadContent(contentId, req.user);
+      const usedBy = await pathStorage.findByContentId(contentId);
+      if (usedBy.length > 0 && req.query.force !== 'true') {
+        return res.status(409).json({
+          error: 'The content is used in learning paths. Add ?force=true to delete it anyway.',
+          usedBy,
+        });
+      }
+      // Deleted content goes to the trash, from where it can be restored
+      await trash.trashContent(h5pEditor, contentId, req.user);
+      res.status(204).end();
+    } catch (err) {
+      sendError(res, err, req.t);
+    }
+  });
+
+  // Unknown API paths get a JSON 404 instead of falling through to the pages
+  router.use((req, res) => {
+    res.status(404).json({ error: `No such endpoint: ${req.method} ${req.originalUrl}` });
+  });
+
+  return router;
+}
+
+module.exports = createApiRoutes;
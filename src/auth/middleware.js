@@ -0,0 +1,58 @@
+const userStorage = require('./userStorage');
+const User = require('../User');
+const { isPageRequest } = require('./pageRequest');
+
+/**
+ * Builds req.user from the account stored in the session (if any).
+ */
+async function loadUser(req, _res, next) {
+  try {
+    const userId = req.session && req.session.userId;
+    if (userId) {
+      const account = await userStorage.get(userId);
+      if (account) {
+        req.user = new User(account);
+      } else {
+        // The account was removed while the session was still alive
+        delete req.session.userId;
+      }
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Builds req.user from an API token (`Authorization: Bearer <token>`), so
+ * other tools can use the JSON API without a session. A wrong token is
+ * rejected rather than ignored, so the tool notices.
+ */
+async function loadApiUser(req, res, next) {
+  try {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    if (!match) return next();
+    const account = await userStorage.authenticateToken(match[1]);
+    if (!account) {
+      return res.status(401).json({ error: 'Invalid API token' });
+    }
+    req.user = new User(account);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/**
+ * Rejects requests without a logged-in user. Page requests are redirected to
+ * the login form, everything else (AJAX, API) gets a 401.
+ */
+function requireLogin(req, res, next) {
+  if (req.user) return next();
+  if (isPageRequest(req)) {
+    return res.redirect(`/login?returnTo=${encodeURIComponent(req.originalUrl)}`);
+  }
+  res.status(401).json({ error: 'Login required' });
+}
+
+module.exports = { loadUser, loadApiUser, requireLogin, isPageRequest };
@@ -0,0 +1,12 @@
+/**
+ * Whether a request comes from a browser page (as opposed to AJAX or API
+ * clients), so errors should be shown as a page or redirect. API paths never
+ * are, even if the client accepts anything.
+ */
+function isPageRequest(req) {
+  return req.method === 'GET'
+    && !/\/api\//.test(req.originalUrl.split('?')[0])
+    && req.accepts(['html', 'json']) === 'html';
+}
+
+module.exports = { isPageRequest };
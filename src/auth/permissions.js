@@ -0,0 +1,132 @@
+const {
+  ContentPermission,
+  GeneralPermission,
+  TemporaryFilePermission,
+} = require('@lumieducation/h5p-server');
+const { isPageRequest } = require('./pageRequest');
+const contentIndex = require('../contentIndex');
+
+/**
+ * Role definitions. Every logged-in user can list and play H5P content and
+ * learning paths; roles only grant the additional actions listed here.
+ */
+const ROLES = {
+  admin: {
+    label: 'Administrator',
+    actions: [
+      'content:create', 'content:edit', 'content:delete',
+      'libraries:manage', 'packages:upload', 'paths:edit', 'users:manage',
+    ],
+  },
+  author: {
+    label: 'Author',
+    actions: ['content:create', 'content:edit', 'content:delete', 'paths:edit'],
+  },
+  learner: {
+    label: 'Learner',
+    actions: [],
+  },
+};
+
+const DEFAULT_ROLE = 'learner';
+
+/**
+ * Check whether a user's role allows an action (e.g. 'content:edit').
+ */
+function can(user, action) {
+  const role = ROLES[user && user.role];
+  return !!role && role.actions.includes(action);
+}
+
+/**
+ * Express middleware that responds with 403 unless the user may perform the
+ * given action.
+ */
+function requirePermission(action) {
+  return (req, res, next) => {
+    if (can(req.user, action)) return next();
+    if (isPageRequest(req)) {
+      return res.status(403).send(renderForbiddenPage());
+    }
+    res.status(403).json({ error: 'You do not have permission to do this' });
+  };
+}
+
+/**
+ * Permission system for @lumieducation/h5p-server that maps H5P permissions
+ * onto our roles.
+ * @implements {import('@lumieducation/h5p-server').IPermissionSystem}
+ */
+class RolePermissionSystem {
+  async checkForContent(user, permission, contentId) {
+    // Content in the trash can't be played, edited or exported, only purged
+    if (contentId && permission !== ContentPermission.Delete && await contentIndex.isTrashed(contentId)) {
+      return false;
+    }
+    switch (permission) {
+      case ContentPermission.Create:
+        return can(user, 'content:create');
+      case ContentPermission.Edit:
+        return can(user, 'content:edit');
+      case ContentPermission.Delete:
+        return can(user, 'content:delete');
+      default:
+        // Download, Embed, List, View
+        return !!user;
+    }
+  }
+
+  async checkForUserData(user, _permission, _contentId, affectedUserId) {
+    // Users can work with their own states; only admins can touch others'
+    if (!user) return false;
+    return !affectedUserId || affectedUserId === user.id || user.role === 'admin';
+  }
+
+  async checkForTemporaryFile(user, permission, _filename) {
+    // Temporary files are only created by the editor
+    if (permission === TemporaryFilePermission.View) return !!user;
+    return can(user, 'content:create') || can(user, 'content:edit');
+  }
+
+  async checkForGeneralAction(user, permission) {
+    switch (permission) {
+      case GeneralPermission.CreateRestricted:
+      case GeneralPermission.InstallRecommended:
+        return can(user, 'content:create');
+      case GeneralPermission.UpdateAndInstallLibraries:
+        return can(user, 'libraries:manage');
+      default:
+        return false;
+    }
+  }
+}
+
+function renderForbiddenPage() {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Access denied - MyH5P Player</title>
+  <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+</head>
+<body>
+  <div class="container mt-5">
+    <div class="alert alert-warning">
+      <h4>Access denied</h4>
+      <p class="mb-0">Your role does not allow you to open this page.</p>
+    </div>
+    <a href="/" class="btn btn-outline-secondary">&larr; Back to list</a>
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  can,
+  requirePermission,
+  RolePermissionSystem,
+  renderForbiddenPage,
+};
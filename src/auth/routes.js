@@ -0,0 +1,340 @@
+const express = require('express');
+const userStorage = require('./userStorage');
+const { ROLES, DEFAULT_ROLE, requirePermission } = require('./permissions');
+const { requireLogin } = require('./middleware');
+
+/**
+ * Creates Express routes for login, logout, account registration and user
+ * management. Registration is always possible while no account exists (the
+ * first user becomes administrator); afterwards only when allowRegistration
+ * is set, and new accounts start out as learners.
+ * @param {{ allowRegistration: boolean }} options
+ * @returns {express.Router}
+ */
+function createAuthRoutes({ allowRegistration }) {
+  const router = express.Router();
+
+  async function registrationOpen() {
+    return allowRegistration || (await userStorage.count()) === 0;
+  }
+
+  function logIn(req, account, returnTo) {
+    return new Promise((resolve, reject) => {
+      // New session id on login to prevent session fixation
+      req.session.regenerate((err) => {
+        if (err) return reject(err);
+        req.session.userId = account.id;
+        req.session.save((saveErr) => (saveErr ? reject(saveErr) : resolve(safeReturnTo(returnTo))));
+      });
+    });
+  }
+
+  router.get('/login', async (req, res) => {
+    try {
+      if (req.user) return res.redirect('/');
+      if ((await userStorage.count()) === 0) return res.redirect('/register');
+      res.send(renderLoginPage({
+        returnTo: req.query.returnTo,
+        canRegister: await registrationOpen(),
+      }));
+    } catch (err) {
+      res.status(500).send(renderLoginPage({ error: err.message }));
+    }
+  });
+
+  router.post('/login', async (req, res) => {
+    try {
+      const { username, password, returnTo } = req.body;
+      const account = await userStorage.authenticate(username, password);
+      if (!account) {
+        return res.status(401).send(renderLoginPage({
+          error: 'Invalid username or password',
+          username,
+          returnTo,
+          canRegister: await registrationOpen(),
+        }));
+      }
+      res.redirect(await logIn(req, account, returnTo));
+    } catch (err) {
+      res.status(500).send(renderLoginPage({ error: err.message }));
+    }
+  });
+
+  router.post('/logout', (req, res) => {
+    req.session.destroy(() => {
+      res.redirect('/login');
+    });
+  });
+
+  router.get('/register', async (req, res) => {
+    try {
+      if (!(await registrationOpen())) return res.redirect('/login');
+      res.send(renderRegisterPage({ firstUser: (await userStorage.count()) === 0 }));
+    } catch (err) {
+      res.status(500).send(renderRegisterPage({ error: err.message }));
+    }
+  });
+
+  router.post('/register', async (req, res) => {
+    const { username, name, email, password, passwordConfirm } = req.body;
+    try {
+      if (!(await registrationOpen())) return res.redirect('/login');
+      if (password !== passwordConfirm) {
+        throw new Error('Passwords do not match');
+      }
+      const role = (await userStorage.count()) === 0 ? 'admin' : DEFAULT_ROLE;
+      const account = await userStorage.create({ username, name, email, password, role });
+      res.redirect(await logIn(req, account, '/'));
+    } catch (err) {
+      res.status(400).send(renderRegisterPage({
+        error: err.message,
+        values: { username, name, email },
+        firstUser: (await userStorage.count()) === 0,
+      }));
+    }
+  });
+
+  // --- User management (administrators only) ---
+  router.get('/users', requireLogin, requirePermission('users:manage'), async (req, res) => {
+    try {
+      res.send(renderUsersPage(await userStorage.list(), req.user, req.query.error));
+    } catch (err) {
+      res.status(500).send(renderUsersPage([], req.user, err.message));
+    }
+  });
+
+  router.post('/users/:id/role', requireLogin, requirePermission('users:manage'), async (req, res) => {
+    try {
+      await userStorage.setRole(req.params.id, req.body.role);
+      res.redirect('/users');
+    } catch (err) {
+      res.redirect(`/users?error=${encodeURIComponent(err.message)}`);
+    }
+  });
+
+  // --- API tokens of the logged-in user, for the JSON API ---
+  router.get('/account/tokens', requireLogin, async (req, res) => {
+    try {
+      res.send(renderApiTokensPage(await userStorage.listApiTokens(req.user.id), {}));
+    } catch (err) {
+      res.status(500).send(renderApiTokensPage([], { error: err.message }));
+    }
+  });
+
+  router.post('/account/tokens', requireLogin, async (req, res) => {
+    try {
+      const { token } = await userStorage.createApiToken(req.user.id, req.body.label);
+      // Shown once; only its hash is stored
+      res.send(renderApiTokensPage(await userStorage.listApiTokens(req.user.id), { token }));
+    } catch (err) {
+      res.status(500).send(renderApiTokensPage([], { error: err.message }));
+    }
+  });
+
+  router.post('/account/tokens/:id/revoke', requireLogin, async (req, res) => {
+    try {
+      await userStorage.revokeApiToken(req.user.id, req.params.id);
+      res.redirect('/account/tokens');
+    } catch (err) {
+      const status = err.code === 'ENOENT' ? 404 : 500;
+      res.status(status).send(renderApiTokensPage(await userStorage.listApiTokens(req.user.id), { error: err.message }));
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Only allow redirects to local paths after login.
+ */
+function safeReturnTo(returnTo) {
+  return typeof returnTo === 'string' && returnTo.startsWith('/') && !returnTo.startsWith('//')
+    ? returnTo
+    : '/';
+}
+
+// --- HTML Rendering ---
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const NAV = `
+  <nav class="navbar navbar-dark bg-dark mb-4">
+    <div class="container-fluid">
+      <a class="navbar-brand" href="/">MyH5P Player</a>
+      <div class="d-flex gap-2">
+        <a href="/" class="btn btn-outline-light btn-sm">H5P Content</a>
+        <a href="/learning-paths" class="btn btn-outline-info btn-sm">Learning Paths</a>
+        <form method="post" action="/logout" class="d-inline">
+          <button type="submit" class="btn btn-outline-secondary btn-sm">Log out</button>
+        </form>
+      </div>
+    </div>
+  </nav>`;
+
+function renderAuthPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)} - MyH5P Player</title>
+  <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+</head>
+<body>
+  <nav class="navbar navbar-dark bg-dark mb-4">
+    <div class="container-fluid">
+      <span class="navbar-brand">MyH5P Player</span>
+    </div>
+  </nav>
+  <div class="container" style="max-width: 420px">
+    <h1 class="h3 mb-3">${escapeHtml(title)}</h1>
+    ${body}
+  </div>
+</body>
+</html>`;
+}
+
+function renderLoginPage({ error, username, returnTo, canRegister } = {}) {
+  return renderAuthPage('Log in', `
+    ${error ? `<div class="alert alert-danger">${escapeHtml(error)}</div>` : ''}
+    <form method="post" action="/login">
+      <input type="hidden" name="returnTo" value="${escapeHtml(returnTo || '/')}">
+      <div class="mb-3">
+        <label class="form-label" for="username">Username</label>
+        <input class="form-control" id="username" name="username" value="${escapeHtml(username || '')}" required autofocus>
+      </div>
+      <div class="mb-3">
+        <label class="form-label" for="password">Password</label>
+        <input class="form-control" id="password" name="password" type="password" required>
+      </div>
+      <button type="submit" class="btn btn-primary w-100">Log in</button>
+    </form>
+    ${canRegister ? '<p class="mt-3 text-center"><a href="/register">Create an account</a></p>' : ''}`);
+}
+
+function renderRegisterPage({ error, values = {}, firstUser } = {}) {
+  return renderAuthPage('Create account', `
+    ${firstUser ? '<div class="alert alert-info">No accounts exist yet. The account you create now becomes the administrator of this server.</div>' : ''}
+    ${error ? `<div class="alert alert-danger">${escapeHtml(error)}</div>` : ''}
+    <form method="post" action="/register">
+      <div class="mb-3">
+        <label class="form-label" for="username">Username</label>
+        <input class="form-control" id="username" name="username" value="${escapeHtml(values.username || '')}" required autofocus>
+      </div>
+      <div class="mb-3">
+        <label class="form-label" for="name">Full name</label>
+        <input class="form-control" id="name" name="name" value="${escapeHtml(values.name || '')}">
+      </div>
+      <div class="mb-3">
+        <label class="form-label" for="email">E-mail</label>
+        <input class="form-control" id="email" name="email" type="email" value="${escapeHtml(values.email || '')}" required>
+      </div>
+      <div class="mb-3">
+        <label class="form-label" for="password">Password</label>
+        <input class="form-control" id="password" name="password" type="password" minlength="8" required>
+      </div>
+      <div class="mb-3">
+        <label class="form-label" for="passwordConfirm">Confirm password</label>
+        <input class="form-control" id="passwordConfirm" name="passwordConfirm" type="password" minlength="8" required>
+      </div>
+      <button type="submit" class="btn btn-primary w-100">Create account</button>
+    </form>
+    ${firstUser ? '' : '<p class="mt-3 text-center"><a href="/login">Back to login</a></p>'}`);
+}
+
+function renderUsersPage(users, currentUser, error) {
+  const rows = users.map((u) => `
+        <tr>
+          <td>${escapeHtml(u.username)}</td>
+          <td>${escapeHtml(u.name)}</td>
+          <td>${escapeHtml(u.email)}</td>
+          <td>
+            <form method="post" action="/users/${u.id}/role" class="d-flex gap-2">
+              <select name="role" class="form-select form-select-sm" style="width:auto">
+                ${Object.entries(ROLES).map(([id, role]) =>
+                  `<option value="${id}" ${u.role === id ? 'selected' : ''}>${escapeHtml(role.label)}</option>`).join('')}
+              </select>
+              <button type="submit" class="btn btn-outline-primary btn-sm">Save</button>
+            </form>
+          </td>
+          <td>${u.id === currentUser.id ? '<span class="badge bg-info">you</span>' : ''}</td>
+        </tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Users - MyH5P Player</title>
+  <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+</head>
+<body>
+  ${NAV}
+  <div class="container">
+    <h1 class="mb-3">Users</h1>
+    ${error ? `<div class="alert alert-danger">${escapeHtml(error)}</div>` : ''}
+    <table class="table table-striped align-middle">
+      <thead>
+        <tr><th>Username</th><th>Name</th><th>E-mail</th><th>Role</th><th></th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </div>
+</body>
+</html>`;
+}
+
+function renderApiTokensPage(tokens, { token, error }) {
+  const rows = tokens.length > 0
+    ? tokens.map((t) => `
+        <tr>
+          <td>${escapeHtml(t.label)}</td>
+          <td>${new Date(t.createdAt).toLocaleString()}</td>
+          <td class="text-end">
+            <form method="post" action="/account/tokens/${escapeHtml(t.id)}/revoke" onsubmit="return confirm('Revoke this token? Tools using it lose access.')">
+              <button type="submit" class="btn btn-outline-danger btn-sm">Revoke</button>
+            </form>
+          </td>
+        </tr>`).join('\n')
+    : '<tr><td colspan="3" class="text-center text-muted">You have no API tokens.</td></tr>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>API tokens - MyH5P Player</title>
+  <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+</head>
+<body>
+  ${NAV}
+  <div class="container">
+    <h1 class="mb-3">API tokens</h1>
+    <p class="text-muted">Tools send a token as <code>Authorization: Bearer &lt;token&gt;</code> to use the JSON API at <code>/api/v1</code> as you, with the permissions of your role.</p>
+    ${error ? `<div class="alert alert-danger">${escapeHtml(error)}</div>` : ''}
+    ${token ? `<div class="alert alert-success">
+      <p>Your new token. Copy it now, it is not shown again:</p>
+      <input class="form-control font-monospace" value="${escapeHtml(token)}" readonly onfocus="this.select()">
+    </div>` : ''}
+    <form method="post" action="/account/tokens" class="d-flex gap-2 mb-3">
+      <input name="label" class="form-control" style="max-width: 400px" placeholder="What the token is for, e.g. Course builder" maxlength="100">
+      <button type="submit" class="btn btn-primary">Create token</button>
+    </form>
+    <table class="table table-striped align-middle">
+      <thead>
+        <tr><th>Label</th><th>Created</th><th></th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = createAuthRoutes;
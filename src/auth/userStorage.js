@@ -0,0 +1,217 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { ROLES, DEFAULT_ROLE } = require('./permissions');
+
+const scrypt = promisify(crypto.scrypt);
+
+const USERS_FILE = path.resolve(__dirname, '..', '..', 'data', 'users.json');
+const KEY_LENGTH = 64;
+// Makes API tokens easy to recognize, e.g. in leaked config files
+const TOKEN_PREFIX = 'myh5p_';
+
+/**
+ * File-based storage for user accounts.
+ * All accounts are stored in a single JSON file in data/users.json.
+ * Passwords are never stored; only a per-user salt and an scrypt hash.
+ */
+class UserStorage {
+  async _read() {
+    try {
+      const raw = await fs.readFile(USERS_FILE, 'utf8');
+      const users = JSON.parse(raw);
+      // Accounts created before roles existed: the oldest one becomes admin
+      for (const [i, u] of users.entries()) {
+        if (!u.role) u.role = i === 0 ? 'admin' : DEFAULT_ROLE;
+      }
+      return users;
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  async _write(users) {
+    await fs.mkdir(path.dirname(USERS_FILE), { recursive: true });
+    await fs.writeFile(USERS_FILE, JSON.stringify(users, null, 2), 'utf8');
+  }
+
+  async _hashPassword(password, salt) {
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return hash.toString('hex');
+  }
+
+  /**
+   * Strip credentials from an account before it leaves the storage.
+   */
+  _toPublic(account) {
+    const { passwordHash, passwordSalt, apiTokens, ...rest } = account;
+    return rest;
+  }
+
+  _getAccount(users, id) {
+    const account = users.find((u) => u.id === id);
+    if (!account) {
+      const err = new Error('User not found');
+      err.code = 'ENOENT';
+      throw err;
+    }
+    return account;
+  }
+
+  async count() {
+    const users = await this._read();
+    return users.length;
+  }
+
+  async list() {
+    const users = await this._read();
+    return users
+      .map((u) => this._toPublic(u))
+      .sort((a, b) => a.username.localeCompare(b.username));
+  }
+
+  async get(id) {
+    const users = await this._read();
+    const account = users.find((u) => u.id === id);
+    return account ? this._toPublic(account) : null;
+  }
+
+  async getByUsername(username) {
+    const users = await this._read();
+    const account = users.find((u) => u.username === String(username || '').trim().toLowerCase());
+    return account ? this._toPublic(account) : null;
+  }
+
+  async create(data) {
+    const username = String(data.username || '').trim().toLowerCase();
+    if (!/^[a-z0-9_.-]{3,32}$/.test(username)) {
+      throw new Error('Username must be 3-32 characters (letters, digits, "_", "-" or ".")');
+    }
+    if (!data.password || data.password.length < 8) {
+      throw new Error('Password must be at least 8 characters long');
+    }
+    if (!data.email || !/^[^\s@]+@[^\s@]+$/.test(data.email)) {
+      throw new Error('A valid e-mail address is required');
+    }
+
+    const users = await this._read();
+    if (users.some((u) => u.username === username)) {
+      throw new Error(`Username "${username}" is already taken`);
+    }
+
+    const role = data.role || DEFAULT_ROLE;
+    if (!ROLES[role]) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const account = {
+      id: crypto.randomUUID(),
+      username,
+      name: data.name || username,
+      email: data.email.trim(),
+      role,
+      passwordSalt: salt,
+      passwordHash: await this._hashPassword(data.password, salt),
+      createdAt: new Date().toISOString(),
+    };
+    users.push(account);
+    await this._write(users);
+    return this._toPublic(account);
+  }
+
+  async setRole(id, role) {
+    if (!ROLES[role]) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+    const users = await this._read();
+    const account = this._getAccount(users, id);
+    if (account.role === 'admin' && role !== 'admin'
+      && users.filter((u) => u.role === 'admin').length === 1) {
+      throw new Error('Cannot remove the role of the last administrator');
+    }
+    account.role = role;
+    await this._write(users);
+    return this._toPublic(account);
+  }
+
+  /**
+   * Check a username/password pair.
+   * @returns {Promise<Object|null>} the account without credentials, or null
+   */
+  async authenticate(username, password) {
+    const users = await this._read();
+    const account = users.find((u) => u.username === String(username || '').trim().toLowerCase());
+    if (!account || !password) return null;
+
+    const expected = Buffer.from(account.passwordHash, 'hex');
+    const actual = Buffer.from(await this._hashPassword(password, account.passwordSalt), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+    return this._toPublic(account);
+  }
+
+  /**
+   * API tokens of a user, without their hashes.
+   * @returns {Promise<Array<{ id: string, label: string, createdAt: string }>>}
+   */
+  async listApiTokens(userId) {
+    const account = this._getAccount(await this._read(), userId);
+    return (account.apiTokens || []).map(({ hash, ...token }) => token);
+  }
+
+  /**
+   * Create an API token, which tools send as `Authorization: Bearer <token>`
+   * to act as the user. Only its hash is stored, so this is the only time
+   * the token itself is available.
+   * @returns {Promise<{ token: string, info: { id: string, label: string, createdAt: string } }>}
+   */
+  async createApiToken(userId, label) {
+    const users = await this._read();
+    const account = this._getAccount(users, userId);
+    const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const info = {
+      id: crypto.randomUUID(),
+      label: String(label || '').trim().slice(0, 100) || 'API token',
+      createdAt: new Date().toISOString(),
+    };
+    account.apiTokens = [...(account.apiTokens || []), { ...info, hash: hashToken(token) }];
+    await this._write(users);
+    return { token, info };
+  }
+
+  async revokeApiToken(userId, tokenId) {
+    const users = await this._read();
+    const account = this._getAccount(users, userId);
+    const tokens = account.apiTokens || [];
+    if (!tokens.some((t) => t.id === tokenId)) {
+      const err = new Error('API token not found');
+      err.code = 'ENOENT';
+      throw err;
+    }
+    account.apiTokens = tokens.filter((t) => t.id !== tokenId);
+    await this._write(users);
+  }
+
+  /**
+   * Find the account an API token belongs to.
+   * @returns {Promise<Object|null>} the account without credentials, or null
+   */
+  async authenticateToken(token) {
+    if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return null;
+    // Comparing hashes doesn't tell anything about the token itself
+    const hash = hashToken(token);
+    const users = await this._read();
+    const account = users.find((u) => (u.apiTokens || []).some((t) => t.hash === hash));
+    return account ? this._toPublic(account) : null;
+  }
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = new UserStorage();
@@ -0,0 +1,233 @@
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const yauzl = require('yauzl-promise');
+const { importPackage, formatImportError } = require('./importPackage');
+const contentIndex = require('./contentIndex');
+
+const IMPORT_LOG = path.resolve(__dirname, '..', 'data', 'import-log.json');
+
+/**
+ * Read a single entry of a zip file as a string.
+ */
+async function readZipEntry(zipFile, entry) {
+  const stream = await zipFile.openReadStream(entry);
+  // yauzl's streams don't support async iteration, so collect the chunks
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', (chunk) => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Read title and content hash of a .h5p package without importing it.
+ * The hash covers the main library and the content parameters, so packages
+ * that were zipped differently but contain the same content are equal.
+ */
+async function readPackageInfo(packagePath) {
+  let zipFile;
+  try {
+    zipFile = await yauzl.open(packagePath);
+  } catch (err) {
+    throw new Error(`Not a valid H5P package, unable to unzip it (${err.message})`);
+  }
+  try {
+    let h5pJson;
+    let contentJson;
+    await zipFile.walkEntries(async (entry) => {
+      if (entry.fileName === 'h5p.json') h5pJson = await readZipEntry(zipFile, entry);
+      if (entry.fileName === 'content/content.json') contentJson = await readZipEntry(zipFile, entry);
+    });
+    if (!h5pJson || !contentJson) {
+      throw new Error('Not an H5P package: h5p.json or content/content.json is missing');
+    }
+    const metadata = JSON.parse(h5pJson);
+    const hash = crypto
+      .createHash('sha256')
+      .update(metadata.mainLibrary || '')
+      .update(JSON.stringify(JSON.parse(contentJson)))
+      .digest('hex');
+    return { title: metadata.title || '', hash };
+  } finally {
+    await zipFile.close();
+  }
+}
+
+/**
+ * Extract all .h5p files contained in a zip archive into a directory.
+ * @returns {Promise<Array<{ name: string, path: string }>>}
+ */
+async function extractPackagesFromZip(zipPath, targetDir) {
+  const packages = [];
+  const zipFile = await yauzl.open(zipPath);
+  try {
+    await zipFile.walkEntries(async (entry) => {
+      if (entry.fileName.endsWith('/') || path.extname(entry.fileName).toLowerCase() !== '.h5p') return;
+      // Only keep the base name; prefix with the index so equal names in
+      // different folders don't overwrite each other
+      const name = path.basename(entry.fileName);
+      const target = path.join(targetDir, `${packages.length}-${name}`);
+      await pipeline(await zipFile.openReadStream(entry), createWriteStream(target));
+      packages.push({ name: entry.fileName, path: target });
+    });
+  } finally {
+    await zipFile.close();
+  }
+  return packages;
+}
+
+/**
+ * Find the .h5p packages in a directory (including sub directories), a zip
+ * archive of packages or a single .h5p file.
+ * @param {string} source - path of the directory or file
+ * @param {string} workDir - directory in which zip archives are extracted
+ * @returns {Promise<Array<{ name: string, path: string }>>}
+ */
+async function collectPackages(source, workDir) {
+  const stat = await fs.stat(source);
+  if (stat.isDirectory()) {
+    const packages = [];
+    const walk = async (dir) => {
+      const entries = await fs.readdir(dir, { withFileTypes: true });
+      for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          await walk(fullPath);
+        } else if (path.extname(entry.name).toLowerCase() === '.h5p') {
+          packages.push({ name: path.relative(source, fullPath), path: fullPath });
+        }
+      }
+    };
+    await walk(source);
+    return packages;
+  }
+  const ext = path.extname(source).toLowerCase();
+  if (ext === '.zip') return extractPackagesFromZip(source, workDir);
+  if (ext === '.h5p') return [{ name: path.basename(source), path: source }];
+  throw new Error(`${source} is neither a directory, a .zip archive nor a .h5p package`);
+}
+
+/**
+ * Turn files uploaded through express-fileupload (.h5p packages or zip
+ * archives of packages) into a list of packages. Uploaded temp files have no
+ * extension, so the original file name decides how a file is treated.
+ * @returns {Promise<Array<{ name: string, path: string }>>}
+ */
+async function collectUploadedPackages(files, workDir) {
+  const packages = [];
+  for (const file of files) {
+    const ext = path.extname(file.name).toLowerCase();
+    if (ext === '.zip') {
+      const extracted = await extractPackagesFromZip(file.tempFilePath, workDir);
+      packages.push(...extracted.map((pkg) => ({ ...pkg, name: `${file.name}/${pkg.name}` })));
+    } else {
+      // Anything else is passed on as a package, so it shows up as failed in
+      // the report if it isn't one
+      packages.push({ name: file.name, path: file.tempFilePath });
+    }
+  }
+  return packages;
+}
+
+async function readImportLog() {
+  try {
+    return JSON.parse(await fs.readFile(IMPORT_LOG, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+}
+
+async function writeImportLog(entries) {
+  await fs.mkdir(path.dirname(IMPORT_LOG), { recursive: true });
+  await fs.writeFile(IMPORT_LOG, JSON.stringify(entries, null, 2), 'utf8');
+}
+
+/**
+ * Import many .h5p packages one after another.
+ *
+ * Packages are skipped as duplicates if an existing content item has the same
+ * title, or if a package with the same content hash was imported before (and
+ * its content still exists). The same rules apply within the batch. Imported
+ * hashes are remembered in data/import-log.json.
+ * @param {import('@lumieducation/h5p-server').H5PEditor} h5pEditor
+ * @param {Array<{ name: string, path: string }>} packages
+ * @param {import('@lumieducation/h5p-server').IUser} user
+ * @param {Function} t - i18next translation function for the 'server' namespace
+ * @returns {Promise<{ imported: number, skipped: number, failed: number, results: Object[] }>}
+ */
+async function importPackages(h5pEditor, packages, user, t) {
+  const existing = await contentIndex.list();
+  const existingIds = new Set(existing.map((item) => item.id));
+  const titles = new Map(existing.map((item) => [item.title, item.id]));
+  const log = (await readImportLog()).filter((entry) => existingIds.has(String(entry.contentId)));
+  const hashes = new Map(log.map((entry) => [entry.hash, entry.contentId]));
+
+  const results = [];
+  for (const pkg of packages) {
+    const result = { file: pkg.name };
+    try {
+      const { title, hash } = await readPackageInfo(pkg.path);
+      result.title = title;
+      if (hashes.has(hash)) {
+        Object.assign(result, {
+          status: 'skipped',
+          contentId: hashes.get(hash),
+          message: 'Same content was already imported',
+        });
+      } else if (title && titles.has(title)) {
+        Object.assign(result, {
+          status: 'skipped',
+          contentId: titles.get(title),
+          message: 'Content with the same title already exists',
+        });
+      } else {
+        const { contentId } = await importPackage(h5pEditor, pkg.path, user);
+        Object.assign(result, { status: 'imported', contentId });
+        hashes.set(hash, contentId);
+        // Packages without a title aren't duplicates of each other
+        if (title) titles.set(title, contentId);
+        log.push({ hash, contentId, file: pkg.name, importedAt: new Date().toISOString() });
+      }
+    } catch (err) {
+      Object.assign(result, { status: 'failed', message: formatImportError(err, t) });
+    }
+    results.push(result);
+  }
+  await writeImportLog(log);
+
+  const count = (status) => results.filter((r) => r.status === status).length;
+  return {
+    imported: count('imported'),
+    skipped: count('skipped'),
+    failed: count('failed'),
+    results,
+  };
+}
+
+/**
+ * Import every package found in a directory, zip archive or .h5p file.
+ * @see collectPackages
+ * @see importPackages
+ */
+async function bulkImport(h5pEditor, source, user, t) {
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'h5p-import-'));
+  try {
+    const packages = await collectPackages(source, workDir);
+    return await importPackages(h5pEditor, packages, user, t);
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  bulkImport,
+  collectPackages,
+  collectUploadedPackages,
+  importPackages,
+};
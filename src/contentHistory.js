@@ -0,0 +1,214 @@
+const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { LibraryName } = require('@lumieducation/h5p-server');
+
+const HISTORY_DIR = path.resolve(__dirname, '..', 'data', 'content-history');
+
+/**
+ * Revision history of H5P content, stored in data/content-history/<contentId>/.
+ *
+ * Every save records a revision: the parameters and metadata are written to
+ * <revision>.json, the list of revisions to revisions.json. Content files
+ * (images, videos, ...) are stored once per distinct file in files/, named
+ * by their SHA-256 hash, so a revision only adds files that changed.
+ */
+class ContentHistory {
+  constructor() {
+    // Serializes writes so concurrent saves don't overwrite each other
+    this._queue = Promise.resolve();
+  }
+
+  _dir(contentId) {
+    // Sanitize id to prevent path traversal
+    return path.join(HISTORY_DIR, String(contentId).replace(/[^a-zA-Z0-9_-]/g, ''));
+  }
+
+  _enqueue(task) {
+    const result = this._queue.then(task);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  async _readRevisions(contentId) {
+    try {
+      return JSON.parse(await fs.readFile(path.join(this._dir(contentId), 'revisions.json'), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  async _writeRevisions(contentId, revisions) {
+    await fs.writeFile(
+      path.join(this._dir(contentId), 'revisions.json'),
+      JSON.stringify(revisions, null, 2),
+      'utf8'
+    );
+  }
+
+  /**
+   * Copy a content file into the file store unless it's already there.
+   * @returns {Promise<string>} the hash of the file
+   */
+  async _storeFile(h5pEditor, contentId, filename, user) {
+    const filesDir = path.join(this._dir(contentId), 'files');
+    await fs.mkdir(filesDir, { recursive: true });
+    const tmpFile = path.join(filesDir, `.${crypto.randomBytes(8).toString('hex')}.tmp`);
+    const hash = crypto.createHash('sha256');
+    const stream = await h5pEditor.contentManager.getContentFileStream(contentId, filename, user);
+    stream.on('data', (chunk) => hash.update(chunk));
+    await pipeline(stream, createWriteStream(tmpFile));
+    const digest = hash.digest('hex');
+    const target = path.join(filesDir, digest);
+    try {
+      await fs.access(target);
+      await fs.unlink(tmpFile);
+    } catch {
+      await fs.rename(tmpFile, target);
+    }
+    return digest;
+  }
+
+  /**
+   * All revisions of a content item, newest first (without parameters).
+   * @returns {Promise<Object[]>}
+   */
+  async list(contentId) {
+    return (await this._readRevisions(contentId)).slice().reverse();
+  }
+
+  /**
+   * A single revision including its parameters and metadata.
+   * @returns {Promise<Object|undefined>}
+   */
+  async get(contentId, revision) {
+    const entry = (await this._readRevisions(contentId)).find((r) => r.revision === Number(revision));
+    if (!entry) return undefined;
+    const snapshot = JSON.parse(
+      await fs.readFile(path.join(this._dir(contentId), `${entry.revision}.json`), 'utf8')
+    );
+    return { ...entry, ...snapshot };
+  }
+
+  /**
+   * Record the current state of a content item as a new revision. Nothing is
+   * recorded if neither parameters, metadata nor files changed since the
+   * last revision.
+   * @param {import('@lumieducation/h5p-server').H5PEditor} h5pEditor
+   * @param {string} contentId
+   * @param {import('@lumieducation/h5p-server').IUser} user - who made the change
+   * @param {string} action - e.g. "created", "edited"
+   * @param {boolean} [attribute=true] - false if the user didn't make the change
+   * @returns {Promise<Object|undefined>} the new revision
+   */
+  record(h5pEditor, contentId, user, action, attribute = true) {
+    return this._enqueue(async () => {
+      const id = String(contentId);
+      const metadata = await h5pEditor.contentManager.getContentMetadata(id, user);
+      const params = await h5pEditor.contentManager.getContentParameters(id, user);
+      const files = {};
+      for (const filename of await h5pEditor.contentManager.listContentFiles(id, user)) {
+        files[filename] = await this._storeFile(h5pEditor, id, filename, user);
+      }
+      const mainLibrary = (metadata.preloadedDependencies || []).find(
+        (dep) => dep.machineName === metadata.mainLibrary
+      );
+      const snapshot = {
+        library: mainLibrary ? LibraryName.toUberName(mainLibrary, { useWhitespace: true }) : metadata.mainLibrary,
+        metadata,
+        params,
+      };
+      const checksum = crypto
+        .createHash('sha256')
+        .update(JSON.stringify(snapshot))
+        .update(JSON.stringify(files))
+        .digest('hex');
+
+      const revisions = await this._readRevisions(id);
+      const last = revisions[revisions.length - 1];
+      if (last && last.checksum === checksum) return undefined;
+
+      const entry = {
+        revision: last ? last.revision + 1 : 1,
+        action,
+        title: metadata.title || '',
+        savedAt: new Date().toISOString(),
+        user: user && attribute ? { id: user.id, username: user.username, name: user.name } : null,
+        checksum,
+        files,
+      };
+      await fs.mkdir(this._dir(id), { recursive: true });
+      await fs.writeFile(
+        path.join(this._dir(id), `${entry.revision}.json`),
+        JSON.stringify(snapshot, null, 2),
+        'utf8'
+      );
+      revisions.push(entry);
+      await this._writeRevisions(id, revisions);
+      return entry;
+    });
+  }
+
+  /**
+   * Record the current state as the first revision if the content has no
+   * history yet, e.g. because it was created before revisions were kept.
+   * Call this before overwriting content.
+   */
+  async recordInitial(h5pEditor, contentId, user) {
+    if ((await this._readRevisions(contentId)).length === 0) {
+      await this.record(h5pEditor, contentId, user, 'existing', false);
+    }
+  }
+
+  /**
+   * Put the parameters, metadata and files of an older revision back in
+   * place and record that as a new revision. This also works for content
+   * that was deleted, as long as its history was kept.
+   *
+   * The content manager is used directly instead of saving like the editor
+   * does, as the editor would drop references to files that aren't in the
+   * current version of the content.
+   * @param {string} [action] - recorded with the new revision
+   * @returns {Promise<Object>} the new revision
+   */
+  async restore(h5pEditor, contentId, revision, user, action) {
+    const id = String(contentId);
+    await this.recordInitial(h5pEditor, id, user);
+    const snapshot = await this.get(id, revision);
+    if (!snapshot) {
+      const err = new Error(`Revision ${revision} of content ${id} not found`);
+      err.code = 'ENOENT';
+      throw err;
+    }
+
+    await h5pEditor.contentManager.createOrUpdateContent(snapshot.metadata, snapshot.params, user, id);
+    const current = await h5pEditor.contentManager.listContentFiles(id, user);
+    for (const filename of current) {
+      if (!snapshot.files[filename]) {
+        await h5pEditor.contentManager.deleteContentFile(id, filename, user);
+      }
+    }
+    for (const [filename, hash] of Object.entries(snapshot.files)) {
+      await h5pEditor.contentManager.addContentFile(
+        id,
+        filename,
+        createReadStream(path.join(this._dir(id), 'files', hash)),
+        user
+      );
+    }
+    return (await this.record(h5pEditor, id, user, action || `restored revision ${snapshot.revision}`))
+      || (await this.list(id))[0];
+  }
+
+  /**
+   * Delete the history of a content item.
+   */
+  remove(contentId) {
+    return this._enqueue(() => fs.rm(this._dir(contentId), { recursive: true, force: true }));
+  }
+}
+
+module.exports = new ContentHistory();
@@ -0,0 +1,331 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const INDEX_FILE = path.resolve(__dirname, '..', 'data', 'content-index.json');
+const ORGANIZATION_FILE = path.resolve(__dirname, '..', 'data', 'content-organization.json');
+
+/**
+ * Persistent index of H5P content metadata, stored in data/content-index.json.
+ *
+ * Listing content through the content manager reads h5p.json of every item;
+ * the index keeps what the lists need in one file instead. It is updated
+ * whenever content is saved or deleted and synchronized with h5p/content on
+ * startup, so content added by other means (e.g. copied folders) shows up too.
+ *
+ * The index is a cache that can be rebuilt from h5p/content, except for the
+ * folders and tags, whether an item may be embedded on other sites and
+ * whether it is in the trash, which exist nowhere else. Those are kept in
+ * data/content-organization.json
+ * (`{ [contentId]: { folder, tags, embeddable?, trashed? } }`) and merged
+ * into the entries, so rebuilding the index keeps them.
+ *
+ * Content in the trash stays in content storage, so learners' states and
+ * results survive until it is purged, but list() and get() leave it out.
+ */
+class ContentIndex {
+  constructor() {
+    // Serializes writes so concurrent saves don't overwrite each other
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * The index is read from disk every time (one file read), so changes made
+   * by other processes, e.g. the import script, are picked up.
+   * @returns {Promise<Map<string, Object>|null>} null if there is no usable index
+   */
+  async _read() {
+    try {
+      const raw = await fs.readFile(INDEX_FILE, 'utf8');
+      return new Map(Object.entries(JSON.parse(raw).items || {}));
+    } catch (err) {
+      if (err.code === 'ENOENT' || err instanceof SyntaxError) return null;
+      throw err;
+    }
+  }
+
+  async _write(entries) {
+    await writeJson(INDEX_FILE, { version: 1, items: Object.fromEntries(entries) });
+  }
+
+  /**
+   * Folders, tags, embedding and trash state by content id. Unlike the
+   * index, a broken file is an error: it can't be rebuilt.
+   * @returns {Promise<Object<string, { folder: string, tags: string[], embeddable?: boolean, trashed?: boolean }>|null>} null if there is no file yet
+   */
+  async _readOrganization() {
+    try {
+      return JSON.parse(await fs.readFile(ORGANIZATION_FILE, 'utf8')).items || {};
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async _writeOrganization(organization) {
+    await writeJson(ORGANIZATION_FILE, { version: 1, items: organization });
+  }
+
+  _enqueue(task) {
+    const result = this._queue.then(task);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Read the index entry of one content item from content storage, with its
+   * folder and tags.
+   */
+  async _readEntry(contentStorage, contentId, previous, organized) {
+    const id = String(contentId);
+    const metadata = await contentStorage.getMetadata(id);
+    const h5pStats = await contentStorage.getFileStats(id, 'h5p.json');
+    const contentStats = await contentStorage.getFileStats(id, 'content.json');
+    let size = h5pStats.size + contentStats.size;
+    for (const file of await contentStorage.listFiles(id)) {
+      try {
+        size += (await contentStorage.getFileStats(id, file)).size;
+      } catch {
+        // file vanished in the meantime
+      }
+    }
+    return {
+      id,
+      title: metadata.title || `Content ${id}`,
+      mainLibrary: metadata.mainLibrary || '',
+      authors: (metadata.authors || []).map((a) => a.name).filter(Boolean),
+      license: metadata.license || '',
+      ...organizedFields(organized),
+      createdAt: previous ? previous.createdAt : (h5pStats.birthtime || h5pStats.mtime).toISOString(),
+      // content.json is rewritten on every save, so its mtime is the last change
+      updatedAt: contentStats.mtime.toISOString(),
+      size,
+    };
+  }
+
+  /**
+   * All index entries except those in the trash, in no particular order.
+   * @returns {Promise<Object[]>}
+   */
+  async list() {
+    const entries = await this._read();
+    return entries ? [...entries.values()].filter((entry) => !entry.trashed) : [];
+  }
+
+  /**
+   * @returns {Promise<Object|undefined>} the entry of a content item, unless it is in the trash
+   */
+  async get(contentId) {
+    const entries = await this._read();
+    const entry = entries && entries.get(String(contentId));
+    return entry && !entry.trashed ? entry : undefined;
+  }
+
+  /**
+   * Whether a content item is in the trash. Read from the organization file,
+   * which is there even when the index has to be rebuilt.
+   */
+  async isTrashed(contentId) {
+    const organization = await this._readOrganization();
+    const organized = organization && organization[String(contentId)];
+    return !!(organized && organized.trashed);
+  }
+
+  /**
+   * Re-read a content item after it was created or saved.
+   * @param {import('@lumieducation/h5p-server').H5PEditor} h5pEditor
+   * @param {string} contentId
+   */
+  update(h5pEditor, contentId) {
+    return this._enqueue(async () => {
+      const entries = await this._read();
+      if (!entries) {
+        // Writing only this item to a missing or broken index would drop all others
+        await this._rebuild(h5pEditor);
+        return;
+      }
+      const organization = (await this._readOrganization()) || {};
+      const id = String(contentId);
+      entries.set(id, await this._readEntry(h5pEditor.contentStorage, id, entries.get(id), organization[id]));
+      await this._write(entries);
+    });
+  }
+
+  /**
+   * Move a content item to a folder, set its tags and/or whether other sites
+   * may embed it without a login.
+   * @param {string} contentId
+   * @param {{ folder?: string, tags?: string[], embeddable?: boolean }} changes -
+   *   folder is a path like "Course/Module 1" ('' for the top level)
+   * @returns {Promise<Object>} the updated entry
+   */
+  organize(contentId, { folder, tags, embeddable }) {
+    return this._enqueue(async () => {
+      const entries = await this._read();
+      const entry = entries && entries.get(String(contentId));
+      if (!entry || entry.trashed) {
+        const err = new Error(`Content ${contentId} not found`);
+        err.code = 'ENOENT';
+        throw err;
+      }
+      if (folder !== undefined) entry.folder = normalizeFolder(folder);
+      if (tags !== undefined) entry.tags = normalizeTags(tags);
+      if (embeddable !== undefined) setFlag(entry, 'embeddable', embeddable);
+      const organization = (await this._readOrganization()) || {};
+      organization[entry.id] = { ...organization[entry.id], folder: entry.folder, tags: entry.tags };
+      if (embeddable !== undefined) setFlag(organization[entry.id], 'embeddable', embeddable);
+      await this._writeOrganization(organization);
+      await this._write(entries);
+      return entry;
+    });
+  }
+
+  /**
+   * Move a content item to the trash or take it out again. It stays in
+   * content storage either way.
+   * @param {import('@lumieducation/h5p-server').H5PEditor} h5pEditor
+   * @param {string} contentId
+   * @param {boolean} trashed
+   */
+  setTrashed(h5pEditor, contentId, trashed) {
+    return this._enqueue(async () => {
+      const id = String(contentId);
+      if (!(await this._read())) await this._rebuild(h5pEditor);
+      const entries = await this._read();
+      const entry = entries.get(id);
+      if (!entry) {
+        const err = new Error(`Content ${contentId} not found`);
+        err.code = 'ENOENT';
+        throw err;
+      }
+      setFlag(entry, 'trashed', trashed);
+      const organization = (await this._readOrganization()) || {};
+      organization[id] = { ...organization[id], folder: entry.folder, tags: entry.tags };
+      setFlag(organization[id], 'trashed', trashed);
+      await this._writeOrganization(organization);
+      await this._write(entries);
+    });
+  }
+
+  /**
+   * Remove a deleted content item from the index.
+   * @param {import('@lumieducation/h5p-server').H5PEditor} h5pEditor
+   * @param {string} contentId
+   */
+  remove(h5pEditor, contentId) {
+    return this._enqueue(async () => {
+      const id = String(contentId);
+      const entries = await this._read();
+      if (!entries) {
+        await this._rebuild(h5pEditor);
+      } else if (entries.delete(id)) {
+        await this._write(entries);
+      }
+      const organization = await this._readOrganization();
+      if (organization && organization[id]) {
+        delete organization[id];
+        await this._writeOrganization(organization);
+      }
+    });
+  }
+
+  /**
+   * Make the index match h5p/content: add missing items, drop deleted ones.
+   * Without an index file (or with a broken one) every item is read again;
+   * folders and tags come from their own file either way.
+   * @param {import('@lumieducation/h5p-server').H5PEditor} h5pEditor
+   * @param {{ rebuild?: boolean }} [options] - rebuild: re-read every item
+   * @returns {Promise<{ added: number, removed: number, total: number }>}
+   */
+  sync(h5pEditor, { rebuild = false } = {}) {
+    return this._enqueue(() => this._rebuild(h5pEditor, rebuild));
+  }
+
+  /**
+   * sync() for methods that already run in the write queue.
+   * @param {import('@lumieducation/h5p-server').H5PEditor} h5pEditor
+   * @param {boolean} [rereadAll] - re-read items that are in the index already
+   */
+  async _rebuild(h5pEditor, rereadAll = false) {
+    const previous = (await this._read()) || new Map();
+    let organization = await this._readOrganization();
+    if (!organization) {
+      // Folders and tags used to be kept in the index only
+      organization = {};
+      for (const [id, entry] of previous) {
+        if (entry.folder || (entry.tags && entry.tags.length)) {
+          organization[id] = { folder: entry.folder || '', tags: entry.tags || [] };
+        }
+      }
+      await this._writeOrganization(organization);
+    }
+    const ids = (await h5pEditor.contentStorage.listContent()).map(String);
+    const entries = new Map();
+    let added = 0;
+    for (const id of ids) {
+      if (!rereadAll && previous.has(id)) {
+        const { embeddable, trashed, ...entry } = previous.get(id);
+        entries.set(id, { ...entry, ...organizedFields(organization[id]) });
+        continue;
+      }
+      try {
+        entries.set(id, await this._readEntry(h5pEditor.contentStorage, id, previous.get(id), organization[id]));
+        if (!previous.has(id)) added++;
+      } catch (err) {
+        console.warn(`Content index: skipping content ${id}: ${err.message}`);
+      }
+    }
+    const removed = [...previous.keys()].filter((id) => !entries.has(id)).length;
+    await this._write(entries);
+    return { added, removed, total: entries.size };
+  }
+}
+
+/**
+ * The fields of an index entry that come from the organization file.
+ */
+function organizedFields(organized) {
+  return {
+    folder: organized ? organized.folder : '',
+    tags: organized ? organized.tags : [],
+    ...(organized && organized.embeddable ? { embeddable: true } : {}),
+    ...(organized && organized.trashed ? { trashed: true } : {}),
+  };
+}
+
+// Flags are only stored while they are set
+function setFlag(object, name, value) {
+  if (value) {
+    object[name] = true;
+  } else {
+    delete object[name];
+  }
+}
+
+// Write to a temporary file first so readers never see a half-written file
+async function writeJson(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmpFile = `${file}.tmp`;
+  await fs.writeFile(tmpFile, JSON.stringify(data, null, 2), 'utf8');
+  await fs.rename(tmpFile, file);
+}
+
+/**
+ * "/Course / Module 1/" -> "Course/Module 1"
+ */
+function normalizeFolder(folder) {
+  return String(folder || '')
+    .split('/')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .join('/');
+}
+
+/**
+ * Accepts an array or a comma separated string; removes blanks and duplicates.
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map((tag) => String(tag).trim()).filter(Boolean))];
+}
+
+module.exports = new ContentIndex();
@@ -0,0 +1,113 @@
+/**
+ * Search, filtering, sorting and pagination for the H5P content list.
+ * Used by the homepage and the JSON API so both accept the same query options.
+ */
+
+const SORT_FIELDS = ['title', 'updated'];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Normalize query string parameters into list options.
+ * @param {Object} query - e.g. req.query
+ */
+function parseListQuery(query) {
+  const str = (value) => (typeof value === 'string' ? value.trim() : '');
+  const int = (value, fallback) => {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+  };
+  const sort = SORT_FIELDS.includes(query.sort) ? query.sort : 'title';
+  return {
+    q: str(query.q),
+    library: str(query.library),
+    author: str(query.author),
+    license: str(query.license),
+    tag: str(query.tag),
+    folder: str(query.folder).split('/').map((part) => part.trim()).filter(Boolean).join('/'),
+    sort,
+    order: query.order === 'desc' || query.order === 'asc'
+      ? query.order
+      : (sort === 'updated' ? 'desc' : 'asc'),
+    page: int(query.page, 1),
+    pageSize: Math.min(int(query.pageSize, DEFAULT_PAGE_SIZE), MAX_PAGE_SIZE),
+  };
+}
+
+/**
+ * Whether a folder path is the given folder or lies inside it.
+ */
+function isInFolder(itemFolder, folder) {
+  return !folder || itemFolder === folder || itemFolder.startsWith(`${folder}/`);
+}
+
+/**
+ * Apply search, filters, sorting and pagination to content summaries.
+ *
+ * Only the items directly in `options.folder` are listed, together with its
+ * sub folders. When searching or filtering, items in sub folders are included
+ * as well. Also returns the values that can be filtered by (facets),
+ * computed over all items so the filter choices don't disappear while
+ * filtering.
+ * @param {Array} items - entries of the content index
+ * @param {Object} options - from parseListQuery()
+ */
+function queryContent(items, options) {
+  const q = options.q.toLowerCase();
+  const recursive = Boolean(q || options.tag || options.library || options.author || options.license);
+  const filtered = items.filter((item) =>
+    (recursive ? isInFolder(item.folder || '', options.folder) : (item.folder || '') === options.folder)
+    && (!q || item.title.toLowerCase().includes(q))
+    && (!options.tag || (item.tags || []).includes(options.tag))
+    && (!options.library || item.mainLibrary === options.library)
+    && (!options.author || item.authors.includes(options.author))
+    && (!options.license || item.license === options.license));
+
+  const direction = options.order === 'desc' ? -1 : 1;
+  filtered.sort((a, b) => {
+    if (options.sort === 'updated') {
+      return direction * (a.updatedAt || '').localeCompare(b.updatedAt || '');
+    }
+    return direction * a.title.localeCompare(b.title, undefined, { sensitivity: 'base' });
+  });
+
+  const total = filtered.length;
+  const pageCount = Math.max(1, Math.ceil(total / options.pageSize));
+  const page = Math.min(options.page, pageCount);
+  const start = (page - 1) * options.pageSize;
+
+  const distinct = (values) => [...new Set(values.filter(Boolean))].sort();
+
+  // Every folder path, including parents of folders that only contain folders
+  const allFolders = distinct(items.flatMap((item) => {
+    const parts = (item.folder || '').split('/').filter(Boolean);
+    return parts.map((_part, i) => parts.slice(0, i + 1).join('/'));
+  }));
+  const prefix = options.folder ? `${options.folder}/` : '';
+  const subfolders = allFolders
+    .filter((f) => f.startsWith(prefix) && !f.slice(prefix.length).includes('/'))
+    .map((f) => ({
+      path: f,
+      name: f.slice(prefix.length),
+      count: items.filter((item) => isInFolder(item.folder || '', f)).length,
+    }));
+
+  return {
+    items: filtered.slice(start, start + options.pageSize),
+    total,
+    page,
+    pageSize: options.pageSize,
+    pageCount,
+    folder: options.folder,
+    subfolders: recursive ? [] : subfolders,
+    facets: {
+      folders: allFolders,
+      tags: distinct(items.flatMap((i) => i.tags || [])),
+      libraries: distinct(items.map((i) => i.mainLibrary)),
+      authors: distinct(items.flatMap((i) => i.authors)),
+      licenses: distinct(items.map((i) => i.license)),
+    },
+  };
+}
+
+module.exports = { parseListQuery, queryContent, DEFAULT_PAGE_SIZE };
@@ -0,0 +1,41 @@
+const contentIndex = require('./contentIndex');
+const contentHistory = require('./contentHistory');
+
+/**
+ * Makes a full copy of H5P content: parameters, metadata and all media
+ * files. The copy gets a new id, " (Copy)" appended to its title and is
+ * put in the same folder with the same tags as the original.
+ * @param {import('@lumieducation/h5p-server').H5PEditor} h5pEditor
+ * @param {string} contentId - the content to copy
+ * @param {import('@lumieducation/h5p-server').IUser} user
+ * @returns {Promise<string>} the id of the copy
+ */
+async function copyContent(h5pEditor, contentId, user) {
+  const metadata = await h5pEditor.contentManager.getContentMetadata(contentId, user);
+  const params = await h5pEditor.contentManager.getContentParameters(contentId, user);
+  const copyId = String(await h5pEditor.contentManager.createOrUpdateContent(
+    { ...metadata, title: `${metadata.title || `Content ${contentId}`} (Copy)` },
+    params,
+    user
+  ));
+  try {
+    for (const filename of await h5pEditor.contentManager.listContentFiles(contentId, user)) {
+      const stream = await h5pEditor.contentManager.getContentFileStream(contentId, filename, user);
+      await h5pEditor.contentManager.addContentFile(copyId, filename, stream, user);
+    }
+  } catch (err) {
+    // Don't leave a copy with missing media behind
+    await h5pEditor.contentManager.deleteContent(copyId, user).catch(() => {});
+    throw err;
+  }
+
+  const original = await contentIndex.get(contentId);
+  await contentIndex.update(h5pEditor, copyId);
+  if (original) {
+    await contentIndex.organize(copyId, { folder: original.folder, tags: original.tags });
+  }
+  await contentHistory.record(h5pEditor, copyId, user, `copied from ${contentId}`);
+  return copyId;
+}
+
+module.exports = copyContent;
@@ -1,6 +1,7 @@
 const path = require('path');
 const h5pServer = require('@lumieducation/h5p-server');
-const { H5PEditor, H5PPlayer, H5PConfig } = h5pServer;
+const HtmlExporter = require('@lumieducation/h5p-html-exporter').default;
+const { H5PEditor, H5PPlayer, H5PConfig, PackageExporter } = h5pServer;
 const {
   FileContentStorage,
   FileLibraryStorage,
@@ -8,13 +9,16 @@ const {
   FileContentUserDataStorage,
   InMemoryStorage,
 } = h5pServer.fsImplementations;
+const { RolePermissionSystem } = require('./auth/permissions');
+const { EmbedUrlGenerator } = require('./embedAccess');
 
 /**
  * Creates and configures an H5PEditor instance with file-based storage.
  * @param {Function} translationCallback - i18next translation function
- * @returns {{ h5pEditor: H5PEditor, h5pPlayer: H5PPlayer }}
+ * @param {ReturnType<import('./embedAccess').createEmbedSigner>} embedSigner - signs the content file URLs of embedPlayer
+ * @returns {{ h5pEditor: H5PEditor, h5pPlayer: H5PPlayer, embedPlayer: H5PPlayer, config: H5PConfig, htmlExporter: HtmlExporter, packageExporter: PackageExporter, contentUserDataStorage: FileContentUserDataStorage }}
  */
-async function createH5PEditor(translationCallback) {
+async function createH5PEditor(translationCallback, embedSigner) {
   const projectDir = path.resolve(__dirname, '..');
   const h5pDir = path.join(projectDir, 'h5p');
 
@@ -37,6 +41,9 @@ async function createH5PEditor(translationCallback) {
     path.join(h5pDir, 'user-data')
   );
 
+  // Decides what each user may do based on their role
+  const permissionSystem = new RolePermissionSystem();
+
   const h5pEditor = new H5PEditor(
     new InMemoryStorage(),   // cache
     config,
@@ -45,7 +52,7 @@ async function createH5PEditor(translationCallback) {
     temporaryStorage,
     translationCallback,
     undefined,               // urlGenerator
-    undefined,               // options
+    { permissionSystem },    // options
     contentUserDataStorage
   );
 
@@ -56,11 +63,41 @@ async function createH5PEditor(translationCallback) {
     undefined,               // integrationObjectDefaults
     undefined,               // urlGenerator
     translationCallback,
-    undefined,               // options
+    { permissionSystem },    // options
     contentUserDataStorage
   );
 
-  return { h5pEditor, h5pPlayer, config };
+  // Player for guests of signed embed frames on other sites, which load the
+  // content files from a signed URL instead of with a session
+  const embedPlayer = new H5PPlayer(
+    libraryStorage,
+    contentStorage,
+    config,
+    undefined,               // integrationObjectDefaults
+    new EmbedUrlGenerator(config, embedSigner),
+    translationCallback,
+    { permissionSystem },    // options
+    contentUserDataStorage
+  );
+
+  // Bundles content with all libraries and media into a single HTML file
+  const htmlExporter = new HtmlExporter(
+    libraryStorage,
+    contentStorage,
+    config,
+    path.join(h5pDir, 'core'),
+    path.join(h5pDir, 'editor'),
+    undefined,               // template
+    translationCallback
+  );
+
+  // Creates .h5p packages for downloads
+  const packageExporter = new PackageExporter(h5pEditor.libraryManager, contentStorage, {
+    exportMaxContentPathLength: config.exportMaxContentPathLength,
+    permissionSystem,
+  });
+
+  return { h5pEditor, h5pPlayer, embedPlayer, config, htmlExporter, packageExporter, contentUserDataStorage };
 }
 
 module.exports = createH5PEditor;
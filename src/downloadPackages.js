@@ -0,0 +1,67 @@
+const { createWriteStream } = require('fs');
+const { finished } = require('stream/promises');
+const path = require('path');
+const yazl = require('yazl');
+const contentIndex = require('./contentIndex');
+
+/**
+ * Build a download filename from the content title, e.g. "My Quiz.html".
+ */
+function contentFilename(title, contentId, extension) {
+  const base = String(title || '')
+    .replace(/[\\/:*?"<>|\x00-\x1f]/g, '')
+    .trim()
+    .slice(0, 100);
+  return `${base || `content-${contentId}`}.${extension}`;
+}
+
+/**
+ * Write the .h5p package of a content item to a file.
+ * @param {import('@lumieducation/h5p-server').PackageExporter} packageExporter
+ * @param {string} contentId
+ * @param {import('@lumieducation/h5p-server').IUser} user
+ * @param {string} target - path of the file to create
+ */
+async function writePackage(packageExporter, contentId, user, target) {
+  const output = createWriteStream(target);
+  try {
+    // createPackage resolves before everything is written, so wait for that
+    await packageExporter.createPackage(contentId, output, user);
+    await finished(output);
+  } catch (err) {
+    output.destroy();
+    throw err;
+  }
+}
+
+/**
+ * Build the .h5p packages of several content items in a work directory and
+ * bundle them in a zip archive. Packages are named after the content titles;
+ * equal titles get the content id appended.
+ * @param {import('@lumieducation/h5p-server').PackageExporter} packageExporter
+ * @param {string[]} contentIds
+ * @param {import('@lumieducation/h5p-server').IUser} user
+ * @param {string} workDir - directory for the packages, removed by the caller
+ *   after the zip was sent
+ * @returns {Promise<import('stream').Readable>} the zip archive
+ */
+async function zipPackages(packageExporter, contentIds, user, workDir) {
+  const zipFile = new yazl.ZipFile();
+  const names = new Set();
+  for (const [i, contentId] of contentIds.entries()) {
+    const entry = await contentIndex.get(contentId);
+    const title = entry ? entry.title : '';
+    let name = contentFilename(title, contentId, 'h5p');
+    if (names.has(name.toLowerCase())) name = contentFilename(`${title || 'content'} ${contentId}`, contentId, 'h5p');
+    names.add(name.toLowerCase());
+
+    const target = path.join(workDir, `${i}.h5p`);
+    await writePackage(packageExporter, contentId, user, target);
+    // Packages are zip files already, so store them without compressing again
+    zipFile.addFile(target, name, { compress: false });
+  }
+  zipFile.end();
+  return zipFile.outputStream;
+}
+
+module.exports = { contentFilename, writePackage, zipPackages };
@@ -0,0 +1,102 @@
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { UrlGenerator } = require('@lumieducation/h5p-server');
+const User = require('./User');
+const contentIndex = require('./contentIndex');
+
+/**
+ * Signed embed URLs. Embed frames on other sites (LMSs, wikis) never get our
+ * session cookie, which is SameSite=Lax, so the oEmbed code links to
+ * /embed/:id?sig=... instead. Anyone with that URL can play the content as a
+ * guest, without saving state, as long as an author has allowed embedding it
+ * (see contentIndex.organize). The signature is an HMAC of the content id,
+ * so it can't be guessed for other content and stays valid as long as the
+ * secret (SESSION_SECRET) does.
+ */
+function createEmbedSigner(secret) {
+  const sign = (contentId) => crypto
+    .createHmac('sha256', secret)
+    .update(`embed:${contentId}`)
+    .digest('base64url')
+    .slice(0, 32);
+
+  return {
+    sign,
+    verify(contentId, signature) {
+      const expected = Buffer.from(sign(contentId));
+      const given = Buffer.from(String(signature || ''));
+      return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    },
+  };
+}
+
+/**
+ * URLs of the H5P player for guests of signed embed frames: the content
+ * files are under a signed path, so they load without a session (see
+ * createEmbedRoutes).
+ */
+class EmbedUrlGenerator extends UrlGenerator {
+  constructor(config, signer) {
+    super(config);
+    this._signer = signer;
+  }
+
+  contentFilesUrl(contentId) {
+    return `/embed/${encodeURIComponent(contentId)}/files/${this._signer.sign(contentId)}`;
+  }
+}
+
+// Viewer of a signed embed frame without a session; has no role
+const EMBED_GUEST = new User({ id: 'embed-guest', username: 'guest', name: 'Guest', email: '', role: 'guest' });
+
+/**
+ * Creates the routes that let embed frames work without a session: the H5P
+ * core and libraries (the same for everyone), the content files under their
+ * signed path, and signed /embed/:id requests, which go on to the embed page
+ * as a guest. Both need content that may be embedded; for other content
+ * they are like unsigned requests. Must be mounted before the login check.
+ * @param {ReturnType<typeof createEmbedSigner>} signer
+ * @param {{ h5pDir: string, baseUrl: string }} options - baseUrl of the H5P routes, e.g. /h5p
+ * @returns {express.Router}
+ */
+function createEmbedRoutes(signer, { h5pDir, baseUrl }) {
+  const router = express.Router();
+
+  router.use(`${baseUrl}/core`, express.static(path.join(h5pDir, 'core')));
+  router.use(`${baseUrl}/libraries`, express.static(path.join(h5pDir, 'libraries')));
+
+  const mayEmbed = async (contentId, signature) => {
+    if (!signer.verify(contentId, signature)) return false;
+    const entry = await contentIndex.get(contentId);
+    return !!(entry && entry.embeddable);
+  };
+
+  router.get('/embed/:contentId/files/:signature/*', async (req, res, next) => {
+    try {
+      const { contentId, signature } = req.params;
+      if (!req.params[0] || !(await mayEmbed(contentId, signature))) return res.sendStatus(404);
+      res.sendFile(req.params[0], { root: path.join(h5pDir, 'content', contentId) }, (err) => {
+        if (err) res.sendStatus(err.status || 404);
+      });
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  router.get('/embed/:contentId', async (req, res, next) => {
+    try {
+      if (!req.user && req.query.sig && await mayEmbed(req.params.contentId, req.query.sig)) {
+        req.user = EMBED_GUEST;
+        req.embedGuest = true;
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createEmbedSigner, EmbedUrlGenerator, createEmbedRoutes };
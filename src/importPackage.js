@@ -0,0 +1,62 @@
+const { LibraryName } = require('@lumieducation/h5p-server');
+const contentIndex = require('./contentIndex');
+const contentHistory = require('./contentHistory');
+
+/**
+ * Imports a .h5p package as new content.
+ *
+ * The package is validated and its files are copied to temporary storage by
+ * the editor (missing libraries are only installed if the user is allowed to
+ * install libraries). The content is then saved like content coming from the
+ * editor, so the temporary files are moved into content storage, and added
+ * to the content index and history.
+ * @param {import('@lumieducation/h5p-server').H5PEditor} h5pEditor
+ * @param {string} packagePath - path of the .h5p file on the local disk
+ * @param {import('@lumieducation/h5p-server').IUser} user
+ * @returns {Promise<{ contentId: string, metadata: Object, installedLibraries: Object[] }>}
+ */
+async function importPackage(h5pEditor, packagePath, user) {
+  const { metadata, parameters, installedLibraries } = await h5pEditor.uploadPackage(
+    packagePath,
+    user
+  );
+  if (!metadata || !parameters) {
+    throw new Error('The package does not contain any content');
+  }
+
+  const mainLibrary = (metadata.preloadedDependencies || []).find(
+    (dep) => dep.machineName === metadata.mainLibrary
+  );
+  if (!mainLibrary) {
+    throw new Error(`The main library ${metadata.mainLibrary} is not listed in the package's dependencies`);
+  }
+
+  const content = await h5pEditor.saveOrUpdateContentReturnMetaData(
+    undefined,
+    parameters,
+    metadata,
+    LibraryName.toUberName(mainLibrary, { useWhitespace: true }),
+    user
+  );
+  await contentIndex.update(h5pEditor, content.id);
+  await contentHistory.record(h5pEditor, content.id, user, 'imported');
+  return { contentId: String(content.id), metadata: content.metadata, installedLibraries };
+}
+
+/**
+ * Turns an error thrown while importing into a readable message. H5P errors
+ * only carry an error id, so they are translated; validation errors can
+ * contain several individual errors.
+ * @param {Error} err
+ * @param {Function} t - i18next translation function for the 'server' namespace
+ * @returns {string}
+ */
+function formatImportError(err, t) {
+  const translate = (e) => (e.errorId
+    ? t(e.errorId, { ...e.replacements, interpolation: { escapeValue: false } })
+    : e.message);
+  const details = typeof err.getErrors === 'function' ? err.getErrors().map(translate) : [];
+  return [translate(err), ...details].join('\n');
+}
+
+module.exports = { importPackage, formatImportError };
@@ -1,8 +1,9 @@
 const path = require('path');
 const express = require('express');
 const fileUpload = require('express-fileupload');
+const session = require('express-session');
+const crypto = require('crypto');
 const i18next = require('i18next');
-const i18nextFsBackend = require('i18next-fs-backend');
 const i18nextHttpMiddleware = require('i18next-http-middleware');
 
 const {
@@ -11,44 +12,53 @@ const {
   contentTypeCacheExpressRouter,
 } = require('@lumieducation/h5p-express');
 
+const initI18next = require('./initI18next');
 const createH5PEditor = require('./createH5PEditor');
 const createRoutes = require('./routes');
+const contentIndex = require('./contentIndex');
 const createLearningPathRoutes = require('./learningPath/routes');
-const User = require('./User');
+const createApiRoutes = require('./apiRoutes');
+const createTrashRoutes = require('./trashRoutes');
+const trash = require('./trash');
+const createAuthRoutes = require('./auth/routes');
+const { createOEmbedRoutes } = require('./oembed');
+const { createEmbedSigner, createEmbedRoutes } = require('./embedAccess');
+const { createCmi5Routes } = require('./learningPath/cmi5Routes');
+const { loadUser, loadApiUser, requireLogin } = require('./auth/middleware');
+const { requirePermission } = require('./auth/permissions');
 
 const PORT = process.env.PORT || 8080;
 const LANGUAGE = process.env.H5P_LANGUAGE || 'auto';
+const ALLOW_REGISTRATION = process.env.ALLOW_REGISTRATION === 'true';
+const REBUILD_CONTENT_INDEX = process.env.REBUILD_CONTENT_INDEX === 'true';
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+// Without a configured secret, sessions only survive until the next restart
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
 
 async function start() {
   // Initialize i18next for translations
-  await i18next.use(i18nextFsBackend).use(i18nextHttpMiddleware.LanguageDetector).init({
-    backend: {
-      loadPath: path.join(
-        path.dirname(require.resolve('@lumieducation/h5p-server')),
-        'assets/translations/{{ns}}/{{lng}}.json'
-      ),
-    },
-    defaultNS: 'server',
-    fallbackLng: 'en',
-    ns: [
-      'client',
-      'copyright-semantics',
-      'hub',
-      'library-metadata',
-      'metadata-semantics',
-      'mongo-s3-content-storage',
-      's3-temporary-storage',
-      'server',
-      'storage-file-implementations',
-    ],
-    preload: ['en'],
-  });
+  await initI18next();
 
   // Create H5P editor and player
-  const { h5pEditor, h5pPlayer, config } = await createH5PEditor(
-    i18next.getFixedT(null, 'server')
+  const embedSigner = createEmbedSigner(SESSION_SECRET);
+  const { h5pEditor, h5pPlayer, embedPlayer, config, htmlExporter, packageExporter, contentUserDataStorage } = await createH5PEditor(
+    i18next.getFixedT(null, 'server'),
+    embedSigner
   );
 
+  // Bring the content index up to date with h5p/content
+  const indexed = await contentIndex.sync(h5pEditor, { rebuild: REBUILD_CONTENT_INDEX });
+  if (indexed.added || indexed.removed) {
+    console.log(`Content index: ${indexed.total} items (${indexed.added} added, ${indexed.removed} removed)`);
+  }
+
+  // Purge items that have been in the trash longer than the retention period
+  const purgeTrash = () => trash.purgeExpired(h5pEditor, TRASH_RETENTION_DAYS).catch((err) => {
+    console.error('Failed to purge trash:', err.message);
+  });
+  await purgeTrash();
+  setInterval(purgeTrash, 6 * 60 * 60 * 1000).unref();
+
   // Set up custom renderers that redirect to our routes after saving
   h5pEditor.setRenderer((model) => {
     // Default renderer includes the full editor HTML with AJAX save behavior.
@@ -59,6 +69,7 @@ async function start() {
   h5pPlayer.setRenderer((model) => {
     return defaultPlayerRenderer(model);
   });
+  embedPlayer.setRenderer(defaultPlayerRenderer);
 
   // Create Express app
   const app = express();
@@ -79,11 +90,34 @@ async function start() {
   // i18next middleware for language detection
   app.use(i18nextHttpMiddleware.handle(i18next));
 
-  // Inject user into every request
-  app.use((req, _res, next) => {
-    req.user = new User();
-    next();
-  });
+  // Sessions and login
+  app.use(
+    session({
+      name: 'myh5p.sid',
+      secret: SESSION_SECRET,
+      resave: false,
+      saveUninitialized: false,
+      cookie: { httpOnly: true, sameSite: 'lax' },
+    })
+  );
+  app.use(loadUser);
+  // Other tools use the JSON API with an API token instead of a session
+  app.use('/api/v1', loadApiUser);
+  app.use('/', createAuthRoutes({ allowRegistration: ALLOW_REGISTRATION }));
+  // oEmbed consumers fetch from their server, without our session
+  app.use('/', createOEmbedRoutes(embedSigner));
+  // Embed frames on other sites, with a signed URL from the oEmbed code
+  app.use('/', createEmbedRoutes(embedSigner, {
+    h5pDir: path.resolve(__dirname, '..', 'h5p'),
+    baseUrl: config.baseUrl || '',
+  }));
+  // Scripts that other sites embedding our content need as well
+  app.use('/static', express.static(path.join(__dirname, 'static')));
+  // cmi5 AUs authenticate with the auth token of their launch
+  app.use('/learning-paths/cmi5', createCmi5Routes());
+
+  // Everything below requires a logged-in user
+  app.use(requireLogin);
 
   // Inject translation function into every request
   app.use((req, _res, next) => {
@@ -100,28 +134,36 @@ async function start() {
     h5pAjaxExpressRouter(h5pEditor, h5pCorePath, h5pEditorPath, undefined, LANGUAGE)
   );
 
-  // Library administration routes
+  // Library administration routes (administrators only)
   app.use(
     '/libraries',
+    requirePermission('libraries:manage'),
     libraryAdministrationExpressRouter(h5pEditor, undefined, LANGUAGE)
   );
 
   // Content type cache routes
   app.use(
     '/content-type-cache',
+    requirePermission('libraries:manage'),
     contentTypeCacheExpressRouter(h5pEditor.contentTypeCache, undefined, LANGUAGE)
   );
 
   // Learning Path routes (node editor, player, API)
-  const learningPathRouter = createLearningPathRoutes(h5pEditor);
+  const learningPathRouter = createLearningPathRoutes(h5pEditor, contentUserDataStorage);
   app.use('/learning-paths/static', express.static(
     path.join(__dirname, 'learningPath', 'static'),
     { maxAge: '1d' }
   ));
   app.use('/learning-paths', learningPathRouter);
 
-  // Our custom content management routes (list, play, edit, new, delete)
-  app.use('/', createRoutes(h5pEditor, h5pPlayer, LANGUAGE));
+  // Trash bin for deleted content and learning paths
+  app.use('/', createTrashRoutes(h5pEditor, { retentionDays: TRASH_RETENTION_DAYS }));
+
+  // JSON API for other tools
+  app.use('/api/v1', createApiRoutes(h5pEditor, packageExporter));
+
+  // Our custom content management routes (list, play, edit, new, delete, export)
+  app.use('/', createRoutes(h5pEditor, h5pPlayer, LANGUAGE, htmlExporter, packageExporter, embedPlayer));
 
   // Start server
   app.listen(PORT, () => {
@@ -131,6 +173,7 @@ async function start() {
     console.log('  - Browse content:    http://localhost:' + PORT + '/');
     console.log('  - Create content:    http://localhost:' + PORT + '/new');
     console.log('  - Play content:      http://localhost:' + PORT + '/play/:id');
+    console.log('  - Embed content:     http://localhost:' + PORT + '/embed/:id');
     console.log('  - Edit content:      http://localhost:' + PORT + '/edit/:id');
     console.log('');
     console.log('Learning Paths:');
@@ -142,6 +185,7 @@ async function start() {
 
 /**
  * Custom player renderer - returns a full HTML page for iframe embedding.
+ * The page posts its height to the embedding page (see static/resize-child.js).
  */
 function defaultPlayerRenderer(model) {
   return `<!doctype html>
@@ -153,6 +197,7 @@ function defaultPlayerRenderer(model) {
     <script>
         window.H5PIntegration = ${JSON.stringify(model.integration, null, 2)};
     </script>
+    <script src="/static/resize-child.js"></script>
 </head>
 <body>
     <div class="h5p-content" data-content-id="${model.contentId}"></div>
@@ -162,15 +207,16 @@ function defaultPlayerRenderer(model) {
 
 /**
  * Custom editor renderer - returns a full HTML page.
- * The editor JS handles saving via AJAX POST.
+ * The editor JS saves via AJAX POST to the URL of the frame it is loaded in.
  */
 function defaultEditorRenderer(model) {
   return `<html>
 <head>
 <meta charset="UTF-8">
-<script> window.H5PIntegration = parent.H5PIntegration || ${JSON.stringify(model.integration, null, 2)}</script>
+<script> window.H5PIntegration = ${JSON.stringify(model.integration, null, 2)}</script>
 ${model.styles.map((s) => `<link rel="stylesheet" href="${s}">`).join('\n    ')}
 ${model.scripts.map((s) => `<script src="${s}"></script>`).join('\n    ')}
+<script src="/static/resize-child.js"></script>
 </head>
 <body>
 <form method="post" enctype="multipart/form-data" id="h5p-content-form">
@@ -0,0 +1,39 @@
+const path = require('path');
+const i18next = require('i18next');
+const i18nextFsBackend = require('i18next-fs-backend');
+const i18nextHttpMiddleware = require('i18next-http-middleware');
+
+/**
+ * Initializes i18next with the translations shipped with @lumieducation/h5p-server.
+ * Used by the server and the command line tools.
+ * @returns {Promise<import('i18next').i18n>}
+ */
+async function initI18next() {
+  await i18next.use(i18nextFsBackend).use(i18nextHttpMiddleware.LanguageDetector).init({
+    backend: {
+      // The package's main file is build/src/index.js, the translations are
+      // in build/assets
+      loadPath: path.join(
+        path.dirname(require.resolve('@lumieducation/h5p-server')),
+        '../assets/translations/{{ns}}/{{lng}}.json'
+      ),
+    },
+    defaultNS: 'server',
+    fallbackLng: 'en',
+    ns: [
+      'client',
+      'copyright-semantics',
+      'hub',
+      'library-metadata',
+      'metadata-semantics',
+      'mongo-s3-content-storage',
+      's3-temporary-storage',
+      'server',
+      'storage-file-implementations',
+    ],
+    preload: ['en'],
+  });
+  return i18next;
+}
+
+module.exports = initI18next;
@@ -0,0 +1,361 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const xapi = require('./xapi');
+
+const CMI5_DIR = path.resolve(__dirname, '..', '..', 'data', 'cmi5');
+
+// Launch sessions older than this can't be used anymore
+const SESSION_TTL = 24 * 60 * 60 * 1000;
+
+const CMI5_CATEGORY = {
+  objectType: 'Activity',
+  id: 'https://w3id.org/xapi/cmi5/context/categories/cmi5',
+};
+const MOVEON_CATEGORY = {
+  objectType: 'Activity',
+  id: 'https://w3id.org/xapi/cmi5/context/categories/moveon',
+};
+const EXTENSIONS = {
+  sessionId: 'https://w3id.org/xapi/cmi5/context/extensions/sessionid',
+  launchMode: 'https://w3id.org/xapi/cmi5/context/extensions/launchmode',
+  launchUrl: 'https://w3id.org/xapi/cmi5/context/extensions/launchurl',
+  moveOn: 'https://w3id.org/xapi/cmi5/context/extensions/moveon',
+};
+
+// Verbs only the LMS may use
+const LMS_VERBS = [xapi.VERBS.launched.id, xapi.VERBS.satisfied.id, xapi.VERBS.waived.id];
+
+/**
+ * cmi5 launches of the AUs in learning path cmi5 nodes (https://aicc.github.io/CMI-5_Spec_Current/).
+ *
+ * Every launch is a session with its own fetch URL, auth token and
+ * LMS.LaunchData state document. Sessions live in memory: after a restart,
+ * the learner relaunches the node. What the AUs reported is stored per
+ * learner as data/cmi5/<pathId>/<userId>.json:
+ * `{ [nodeId]: { registration, completed, passed, failed, score, satisfied, states: { [stateId]: { contentType, content } } } }`.
+ */
+class Cmi5 {
+  constructor() {
+    this._sessions = new Map();
+    // Serializes writes so statements of one AU don't overwrite each other
+    this._queue = Promise.resolve();
+  }
+
+  _dir(pathId) {
+    // Sanitize ids to prevent path traversal
+    return path.join(CMI5_DIR, String(pathId).replace(/[^a-zA-Z0-9_-]/g, ''));
+  }
+
+  _filePath(pathId, userId) {
+    return path.join(this._dir(pathId), `${String(userId).replace(/[^a-zA-Z0-9_-]/g, '')}.json`);
+  }
+
+  _enqueue(task) {
+    const result = this._queue.then(task);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  async _read(pathId, userId) {
+    try {
+      return JSON.parse(await fs.readFile(this._filePath(pathId, userId), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return {};
+      throw err;
+    }
+  }
+
+  /**
+   * Change the record of a learner in a node.
+   * @param {function(object): void} change - changes the record in place
+   */
+  _updateRecord(pathId, userId, nodeId, change) {
+    return this._enqueue(async () => {
+      const records = await this._read(pathId, userId);
+      const record = records[nodeId] || {
+        registration: crypto.randomUUID(),
+        completed: false,
+        passed: false,
+        failed: false,
+        score: null,
+        satisfied: false,
+        states: {},
+      };
+      change(record);
+      records[nodeId] = record;
+      await fs.mkdir(this._dir(pathId), { recursive: true });
+      await fs.writeFile(this._filePath(pathId, userId), JSON.stringify(records, null, 2), 'utf8');
+      return record;
+    });
+  }
+
+  /**
+   * What the AU of a node reported for a learner so far.
+   */
+  async result(pathId, userId, nodeId) {
+    const record = (await this._read(pathId, userId))[nodeId];
+    if (!record) return { registration: null, completed: false, passed: false, failed: false, score: null, satisfied: false };
+    const { states, ...result } = record;
+    return result;
+  }
+
+  /**
+   * Start a session for the AU of a cmi5 node and send the "launched"
+   * statement. The learner keeps their registration across launches.
+   * @param {object} pathData - the learning path
+   * @param {object} node - the cmi5 node
+   * @param {import('../User')} user
+   * @param {string} baseUrl - e.g. https://example.com
+   * @returns {Promise<{ url: string, sessionId: string, result: object }>}
+   */
+  async launch(pathData, node, user, baseUrl) {
+    this._expireSessions();
+    const record = await this._updateRecord(pathData.id, user.id, node.id, () => {});
+    const activityId = node.data?.activityId || xapi.buildActivity(pathData.id, node, baseUrl).id;
+    const masteryScore = Number(node.data?.masteryScore);
+    const session = {
+      id: crypto.randomUUID(),
+      fetchToken: crypto.randomBytes(24).toString('hex'),
+      authToken: Buffer.from(`${crypto.randomUUID()}:${crypto.randomBytes(24).toString('hex')}`).toString('base64'),
+      fetched: false,
+      terminated: false,
+      pathId: pathData.id,
+      nodeId: node.id,
+      userId: user.id,
+      actor: buildCmi5Actor(user, baseUrl),
+      registration: record.registration,
+      activityId,
+      moveOn: node.data?.moveOn || 'CompletedOrPassed',
+      masteryScore: masteryScore > 0 ? masteryScore / 100 : null,
+      baseUrl,
+      createdAt: Date.now(),
+    };
+
+    const params = new URLSearchParams({
+      endpoint: `${baseUrl}/learning-paths/cmi5/xapi/`,
+      fetch: `${baseUrl}/learning-paths/cmi5/fetch/${session.fetchToken}`,
+      actor: JSON.stringify(session.actor),
+      registration: session.registration,
+      activityId,
+    });
+    const packageUrl = new URL(node.data.packageUrl, baseUrl).href;
+    session.launchUrl = packageUrl;
+    this._sessions.set(session.id, session);
+
+    await this._sendLmsStatement(pathData, session, 'launched', {
+      [EXTENSIONS.launchMode]: 'Normal',
+      [EXTENSIONS.launchUrl]: packageUrl,
+      [EXTENSIONS.moveOn]: session.moveOn,
+    });
+    // AUs without move on criteria are satisfied by launching them
+    const result = session.moveOn === 'NotApplicable'
+      ? await this._checkSatisfied(pathData, session)
+      : await this.result(pathData.id, user.id, node.id);
+
+    return {
+      url: `${packageUrl}${packageUrl.includes('?') ? '&' : '?'}${params}`,
+      sessionId: session.id,
+      result,
+    };
+  }
+
+  _expireSessions() {
+    const now = Date.now();
+    for (const [id, session] of this._sessions) {
+      if (now - session.createdAt > SESSION_TTL) this._sessions.delete(id);
+    }
+  }
+
+  /**
+   * Hand out the auth token of a session, once. Otherwise returns a cmi5
+   * fetch error code: 1 if the fetch URL was used before, 3 if it is unknown.
+   * @returns {{ authToken: string } | { errorCode: string, errorText: string }}
+   */
+  fetchAuthToken(fetchToken) {
+    this._expireSessions();
+    const session = [...this._sessions.values()].find((s) => s.fetchToken === fetchToken);
+    if (!session) return { errorCode: '3', errorText: 'Unknown or expired fetch URL' };
+    if (session.fetched) return { errorCode: '1', errorText: 'The fetch URL was used already' };
+    session.fetched = true;
+    return { authToken: session.authToken };
+  }
+
+  /**
+   * The session an AU request belongs to, from its Authorization header.
+   */
+  sessionByAuthorization(authorization) {
+    const match = /^Basic\s+(\S+)$/i.exec(authorization || '');
+    if (!match) return null;
+    const session = [...this._sessions.values()].find((s) => s.authToken === match[1]);
+    return session && Date.now() - session.createdAt <= SESSION_TTL ? session : null;
+  }
+
+  /**
+   * The LMS.LaunchData state document of a session.
+   */
+  launchData(session) {
+    const pathGrouping = xapi.buildPathContext(session.pathId, '', session.baseUrl).contextActivities.grouping
+      .map(({ objectType, id }) => ({ objectType, id }));
+    const launchData = {
+      contextTemplate: {
+        contextActivities: { grouping: pathGrouping },
+        extensions: { [EXTENSIONS.sessionId]: session.id },
+      },
+      launchMode: 'Normal',
+      moveOn: session.moveOn,
+    };
+    if (session.masteryScore !== null) launchData.masteryScore = session.masteryScore;
+    return launchData;
+  }
+
+  /**
+   * Record a statement of an AU and send it on to the learning path's LRS.
+   * Statements the AU may not send are rejected with an error with the
+   * code EINVAL (bad statement) or EPERM (not allowed in this session).
+   * @returns {Promise<string>} the statement id
+   */
+  async recordStatement(pathData, session, statement) {
+    const reject = (code, message) => {
+      const err = new Error(message);
+      err.code = code;
+      return err;
+    };
+    if (!statement || typeof statement !== 'object' || !statement.verb?.id || !statement.object?.id) {
+      throw reject('EINVAL', 'A statement needs a verb and an object');
+    }
+    if (session.terminated) throw reject('EPERM', 'The session is terminated');
+    if (LMS_VERBS.includes(statement.verb.id)) throw reject('EPERM', `Only the LMS may send "${statement.verb.id}" statements`);
+    if (statement.actor?.account?.name !== session.actor.account.name) {
+      throw reject('EPERM', 'The actor must be the launched learner');
+    }
+    if (statement.context?.registration && statement.context.registration !== session.registration) {
+      throw reject('EINVAL', 'The registration does not match the launch');
+    }
+
+    const scaled = statement.result?.score?.scaled;
+    const { VERBS } = xapi;
+    if (statement.verb.id === VERBS.passed.id && session.masteryScore !== null
+      && typeof scaled === 'number' && scaled < session.masteryScore) {
+      throw reject('EINVAL', 'A "passed" statement must not have a score below the mastery score');
+    }
+    if (statement.verb.id === VERBS.failed.id && session.masteryScore !== null
+      && typeof scaled === 'number' && scaled >= session.masteryScore) {
+      throw reject('EINVAL', 'A "failed" statement must not have a score at or above the mastery score');
+    }
+
+    const { authority, stored, ...rest } = statement;
+    const forwarded = { ...rest, id: statement.id || crypto.randomUUID(), timestamp: statement.timestamp || new Date().toISOString() };
+    await xapi.sendStatement(pathData.lrsConfig, forwarded);
+
+    if (statement.verb.id === VERBS.terminated.id) session.terminated = true;
+    if (statement.object.id === session.activityId) {
+      await this._updateRecord(session.pathId, session.userId, session.nodeId, (record) => {
+        if (statement.verb.id === VERBS.completed.id) record.completed = true;
+        if (statement.verb.id === VERBS.passed.id) record.passed = true;
+        if (statement.verb.id === VERBS.failed.id) record.failed = true;
+        if (typeof scaled === 'number') record.score = Math.max(Math.round(scaled * 100), record.score ?? 0);
+      });
+      await this._checkSatisfied(pathData, session);
+    }
+    return forwarded.id;
+  }
+
+  /**
+   * Mark the AU as satisfied once its move on criteria are met, and send the
+   * "satisfied" statement for the node.
+   */
+  async _checkSatisfied(pathData, session) {
+    let newly = false;
+    const record = await this._updateRecord(session.pathId, session.userId, session.nodeId, (r) => {
+      if (r.satisfied || !meetsMoveOn(session.moveOn, r)) return;
+      r.satisfied = true;
+      newly = true;
+    });
+    if (newly) await this._sendLmsStatement(pathData, session, 'satisfied');
+    const { states, ...result } = record;
+    return result;
+  }
+
+  async _sendLmsStatement(pathData, session, verb, extensions = {}) {
+    const node = (pathData.nodes || []).find((n) => n.id === session.nodeId);
+    const statement = {
+      id: crypto.randomUUID(),
+      actor: session.actor,
+      verb: xapi.VERBS[verb],
+      // "launched" is about the AU, "satisfied" about the node that holds it,
+      // which is a block in cmi5 terms
+      object: verb === 'launched'
+        ? { objectType: 'Activity', id: session.activityId }
+        : {
+          objectType: 'Activity',
+          id: `${session.baseUrl}/learning-paths/${pathData.id}/nodes/${session.nodeId}`,
+          definition: { name: { 'en-US': node?.data?.title || 'cmi5' } },
+        },
+      context: {
+        registration: session.registration,
+        contextActivities: {
+          category: verb === 'satisfied' ? [CMI5_CATEGORY, MOVEON_CATEGORY] : [CMI5_CATEGORY],
+          grouping: xapi.buildPathContext(pathData.id, pathData.title, session.baseUrl).contextActivities.grouping,
+        },
+        extensions: { [EXTENSIONS.sessionId]: session.id, ...extensions },
+      },
+      timestamp: new Date().toISOString(),
+    };
+    await xapi.sendStatement(pathData.lrsConfig, statement);
+  }
+
+  /**
+   * A state document the AU stored, or null.
+   */
+  async getState(session, stateId) {
+    const record = (await this._read(session.pathId, session.userId))[session.nodeId];
+    return (record && record.states[stateId]) || null;
+  }
+
+  setState(session, stateId, contentType, content) {
+    return this._updateRecord(session.pathId, session.userId, session.nodeId, (record) => {
+      record.states[stateId] = { contentType, content };
+    });
+  }
+
+  /**
+   * Forget what the AUs reported for a learner, e.g. when they restart the
+   * path. Their next launches get new registrations.
+   */
+  reset(pathId, userId) {
+    return this._enqueue(() => fs.rm(this._filePath(pathId, userId), { force: true }));
+  }
+
+  /**
+   * Remove the records of all learners in a learning path.
+   */
+  removePath(pathId) {
+    return this._enqueue(() => fs.rm(this._dir(pathId), { recursive: true, force: true }));
+  }
+}
+
+/**
+ * cmi5 identifies learners by account, not by email.
+ */
+function buildCmi5Actor(user, baseUrl) {
+  return {
+    objectType: 'Agent',
+    name: user.name || 'Anonymous Learner',
+    account: { homePage: baseUrl, name: String(user.id) },
+  };
+}
+
+function meetsMoveOn(moveOn, record) {
+  switch (moveOn) {
+    case 'Completed': return record.completed;
+    case 'Passed': return record.passed;
+    case 'CompletedAndPassed': return record.completed && record.passed;
+    case 'NotApplicable': return true;
+    case 'CompletedOrPassed':
+    default:
+      return record.completed || record.passed;
+  }
+}
+
+module.exports = new Cmi5();
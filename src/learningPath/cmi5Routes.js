@@ -0,0 +1,144 @@
+const express = require('express');
+const storage = require('./storage');
+const cmi5 = require('./cmi5');
+
+const LAUNCH_DATA = 'LMS.LaunchData';
+
+/**
+ * Creates the endpoints the AUs of cmi5 nodes talk to: the fetch URL that
+ * hands out their auth token and the xAPI endpoint (statements, state).
+ * AUs authenticate with their auth token instead of a session cookie, and
+ * may be hosted on other origins, so these routes are mounted before the
+ * login check and allow cross-origin requests.
+ * @returns {express.Router}
+ */
+function createCmi5Routes() {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    res.set({
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': 'Authorization, Content-Type, X-Experience-API-Version',
+      'Access-Control-Allow-Methods': 'GET, PUT, POST, OPTIONS',
+      'Access-Control-Expose-Headers': 'X-Experience-API-Version',
+      'X-Experience-API-Version': '1.0.3',
+    });
+    if (req.method === 'OPTIONS') return res.sendStatus(204);
+    next();
+  });
+
+  // --- Fetch URL: the auth token, once per launch ---
+  router.post('/fetch/:token', (req, res) => {
+    const result = cmi5.fetchAuthToken(req.params.token);
+    if (result.authToken) return res.json({ 'auth-token': result.authToken });
+    res.json({ 'error-code': result.errorCode, 'error-text': result.errorText });
+  });
+
+  // --- xAPI endpoint ---
+  router.get('/xapi/about', (_req, res) => {
+    res.json({ version: ['1.0.3'] });
+  });
+
+  const requireSession = async (req, res, next) => {
+    const session = cmi5.sessionByAuthorization(req.get('Authorization'));
+    if (!session) return res.status(401).json({ error: 'Unknown or expired auth token' });
+    try {
+      req.cmi5Session = session;
+      req.pathData = await storage.get(session.pathId);
+      next();
+    } catch (err) {
+      if (err.code === 'ENOENT') return res.status(404).json({ error: 'The learning path no longer exists' });
+      res.status(500).json({ error: err.message });
+    }
+  };
+
+  const statementError = (res, err) => {
+    if (err.code === 'EINVAL') return res.status(400).json({ error: err.message });
+    if (err.code === 'EPERM') return res.status(403).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  };
+
+  router.post('/xapi/statements', requireSession, async (req, res) => {
+    try {
+      const ids = [];
+      for (const statement of [].concat(req.body)) {
+        ids.push(await cmi5.recordStatement(req.pathData, req.cmi5Session, statement));
+      }
+      res.json(ids);
+    } catch (err) {
+      statementError(res, err);
+    }
+  });
+
+  router.put('/xapi/statements', requireSession, async (req, res) => {
+    try {
+      if (!req.query.statementId) return res.status(400).json({ error: 'statementId is required' });
+      await cmi5.recordStatement(req.pathData, req.cmi5Session, { ...req.body, id: String(req.query.statementId) });
+      res.sendStatus(204);
+    } catch (err) {
+      statementError(res, err);
+    }
+  });
+
+  // State documents of the launched AU. LMS.LaunchData is the LMS's and
+  // read-only; the AU can keep any other documents (e.g. bookmarks).
+  const checkActivity = (req, res, next) => {
+    if (req.query.activityId !== req.cmi5Session.activityId) {
+      return res.status(403).json({ error: 'Only the state of the launched AU is available' });
+    }
+    next();
+  };
+
+  router.get('/xapi/activities/state', requireSession, checkActivity, async (req, res) => {
+    try {
+      const { stateId } = req.query;
+      if (!stateId) {
+        return res.status(400).json({ error: 'stateId is required' });
+      }
+      if (stateId === LAUNCH_DATA) return res.json(cmi5.launchData(req.cmi5Session));
+      const state = await cmi5.getState(req.cmi5Session, String(stateId));
+      if (!state) return res.sendStatus(404);
+      res.type(state.contentType || 'application/octet-stream').send(state.content);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  const saveState = (merge) => async (req, res) => {
+    try {
+      const stateId = String(req.query.stateId || '');
+      if (!stateId) return res.status(400).json({ error: 'stateId is required' });
+      if (stateId === LAUNCH_DATA) return res.status(403).json({ error: `${LAUNCH_DATA} is read-only` });
+      // JSON bodies are parsed already, others come as text
+      const isJson = typeof req.body === 'object' && !Buffer.isBuffer(req.body);
+      let content = isJson ? req.body : String(req.body ?? '');
+      if (merge && isJson) {
+        // POST merges JSON documents into the stored one
+        const stored = await cmi5.getState(req.cmi5Session, stateId);
+        if (stored && stored.contentType === 'application/json') content = { ...JSON.parse(stored.content), ...content };
+      }
+      await cmi5.setState(
+        req.cmi5Session,
+        stateId,
+        isJson ? 'application/json' : req.get('Content-Type') || 'application/octet-stream',
+        isJson ? JSON.stringify(content) : content
+      );
+      res.sendStatus(204);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  };
+
+  const textBody = express.text({ type: () => true, limit: '10mb' });
+  router.put('/xapi/activities/state', requireSession, checkActivity, textBody, saveState(false));
+  router.post('/xapi/activities/state', requireSession, checkActivity, textBody, saveState(true));
+
+  // No learner preferences (cmi5LearnerPreferences) are kept
+  router.get('/xapi/activities/agent/profile', requireSession, (_req, res) => {
+    res.sendStatus(404);
+  });
+
+  return router;
+}
+
+module.exports = { createCmi5Routes };
@@ -122,6 +122,7 @@ const NODE_TYPES = {
     fields: [
       { name: 'title', type: 'text', label: 'Title', required: true },
       { name: 'description', type: 'textarea', label: 'Description' },
+      { name: 'packageId', type: 'package-upload', label: 'Upload Package (.zip)' },
       { name: 'packageUrl', type: 'url', label: 'Package URL / Launch URL', required: true },
       { name: 'activityId', type: 'text', label: 'Activity ID (IRI)' },
       { name: 'moveOn', type: 'select', label: 'Move On Criteria', options: ['Completed', 'Passed', 'CompletedOrPassed', 'CompletedAndPassed', 'NotApplicable'], default: 'CompletedOrPassed' },
@@ -140,9 +141,11 @@ const NODE_TYPES = {
     fields: [
       { name: 'title', type: 'text', label: 'Title', required: true },
       { name: 'description', type: 'textarea', label: 'Description' },
+      { name: 'packageId', type: 'package-upload', label: 'Upload Package (.zip)' },
       { name: 'packageUrl', type: 'url', label: 'SCORM Package URL / Launch URL', required: true },
       { name: 'scormVersion', type: 'select', label: 'SCORM Version', options: ['1.2', '2004 3rd Edition', '2004 4th Edition'], default: '2004 4th Edition' },
       { name: 'passingScore', type: 'number', label: 'Passing Score (%)', default: 70 },
+      { name: 'untracked', type: 'checkbox', label: 'Package doesn\'t report progress (learners complete it by hand)', default: false },
       { name: 'estimatedMinutes', type: 'number', label: 'Estimated Duration (min)', default: 30 },
     ],
   },
@@ -172,6 +175,7 @@ const NODE_TYPES = {
     fields: [
       { name: 'title', type: 'text', label: 'Branch Title' },
       { name: 'conditionType', type: 'select', label: 'Condition', options: ['score-based', 'learner-choice', 'random'], default: 'learner-choice' },
+      { name: 'scoreThreshold', type: 'number', label: 'Score for Path A (%, score-based)', default: 70 },
       { name: 'pathALabel', type: 'text', label: 'Path A Label', default: 'Path A' },
       { name: 'pathBLabel', type: 'text', label: 'Path B Label', default: 'Path B' },
     ],
@@ -197,8 +201,12 @@ function validateNode(node) {
 
 /**
  * Validate the entire learning path graph.
+ * Pass the ids of existing H5P content to also check the H5P nodes'
+ * references, and the titles of content in the trash (by id) to say so.
+ * @param {Object} pathData
+ * @param {{ contentIds?: Set<string>, trashedContent?: Map<string, string> }} [references]
  */
-function validatePath(pathData) {
+function validatePath(pathData, { contentIds, trashedContent } = {}) {
   const errors = [];
   const { nodes, connections } = pathData;
 
@@ -231,6 +239,11 @@ function validatePath(pathData) {
     }
   }
 
+  // Validate H5P nodes reference existing content
+  if (contentIds) {
+    errors.push(...checkContentReferences(nodes, { contentIds, trashedContent }));
+  }
+
   // Validate connections reference valid nodes
   const nodeIds = new Set(nodes.map((n) => n.id));
   if (connections) {
@@ -247,4 +260,25 @@ function validatePath(pathData) {
   return { valid: errors.length === 0, errors };
 }
 
-module.exports = { NODE_TYPES, validateNode, validatePath };
+/**
+ * Problems with the H5P content the H5P nodes refer to: content that doesn't
+ * exist or is in the trash.
+ * @param {Object[]} nodes
+ * @param {{ contentIds: Set<string>, trashedContent?: Map<string, string> }} references
+ * @returns {string[]}
+ */
+function checkContentReferences(nodes, { contentIds, trashedContent }) {
+  const problems = [];
+  for (const node of (nodes || []).filter((n) => n.type === 'h5p')) {
+    const contentId = node.data?.h5pContentId;
+    if (!contentId || contentIds.has(String(contentId))) continue;
+    const label = node.data?.title || NODE_TYPES.h5p.label;
+    const trashed = trashedContent && trashedContent.get(String(contentId));
+    problems.push(trashed
+      ? `[${label}] H5P content "${trashed}" (${contentId}) is in the trash`
+      : `[${label}] H5P content ${contentId} does not exist`);
+  }
+  return problems;
+}
+
+module.exports = { NODE_TYPES, validateNode, validatePath, checkContentReferences };
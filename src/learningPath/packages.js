@@ -0,0 +1,255 @@
+const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const path = require('path');
+const crypto = require('crypto');
+const yauzl = require('yauzl-promise');
+const { parseXml, child, children, textOf } = require('./xml');
+
+const PACKAGES_DIR = path.resolve(__dirname, '..', '..', 'data', 'learning-packages');
+
+// Unpacked size of a package at most, against zip bombs
+const MAX_UNPACKED_SIZE = 2 * 1024 * 1024 * 1024;
+
+/**
+ * SCORM and cmi5 packages uploaded for learning path nodes. Each package is
+ * unpacked into data/learning-packages/<id>/ and described by
+ * data/learning-packages/<id>.json:
+ * `{ id, type: 'scorm'|'cmi5', title, fileName, scormVersion, items: [{ id, title, launchUrl, masteryScore, moveOn }], uploadedBy, uploadedAt }`.
+ * The items are what the package can launch: the SCOs and assets of a SCORM
+ * package, or the AUs of a cmi5 course. Their launch URLs point to the
+ * package files, served under /learning-paths/packages/<id>/.
+ */
+class LearningPackages {
+  async _ensureDir() {
+    await fs.mkdir(PACKAGES_DIR, { recursive: true });
+  }
+
+  _safeId(id) {
+    // Sanitize id to prevent path traversal
+    return String(id).replace(/[^a-zA-Z0-9_-]/g, '');
+  }
+
+  _metaPath(id) {
+    return path.join(PACKAGES_DIR, `${this._safeId(id)}.json`);
+  }
+
+  /**
+   * Directory with the unpacked files of a package.
+   */
+  filesDir(id) {
+    return path.join(PACKAGES_DIR, this._safeId(id));
+  }
+
+  async list() {
+    await this._ensureDir();
+    const packages = [];
+    for (const file of await fs.readdir(PACKAGES_DIR)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        packages.push(JSON.parse(await fs.readFile(path.join(PACKAGES_DIR, file), 'utf8')));
+      } catch {
+        // Skip unreadable files
+      }
+    }
+    return packages.sort((a, b) => (b.uploadedAt || '').localeCompare(a.uploadedAt || ''));
+  }
+
+  async get(id) {
+    return JSON.parse(await fs.readFile(this._metaPath(id), 'utf8'));
+  }
+
+  /**
+   * Unpack an uploaded zip file and read its imsmanifest.xml (SCORM) or
+   * cmi5.xml (cmi5). Errors about the package itself have the code EINVAL.
+   * @param {string} zipPath - path of the uploaded file
+   * @param {string} fileName - original name of the file
+   * @param {import('../User')} user
+   */
+  async import(zipPath, fileName, user) {
+    await this._ensureDir();
+    const id = crypto.randomUUID();
+    const dir = this.filesDir(id);
+    try {
+      const fileNames = await unpack(zipPath, dir);
+      const meta = await readManifest(dir, fileNames, id);
+      Object.assign(meta, {
+        fileName,
+        uploadedBy: user ? user.id : null,
+        uploadedAt: new Date().toISOString(),
+      });
+      await fs.writeFile(this._metaPath(id), JSON.stringify(meta, null, 2), 'utf8');
+      return meta;
+    } catch (err) {
+      await fs.rm(dir, { recursive: true, force: true });
+      throw err;
+    }
+  }
+}
+
+function invalidPackage(message) {
+  const err = new Error(message);
+  err.code = 'EINVAL';
+  return err;
+}
+
+/**
+ * Extract all files of a zip file into a directory.
+ * @returns {Promise<string[]>} the names of the extracted files
+ */
+async function unpack(zipPath, dir) {
+  let zipFile;
+  try {
+    zipFile = await yauzl.open(zipPath);
+  } catch (err) {
+    throw invalidPackage(`Not a valid zip file (${err.message})`);
+  }
+  const fileNames = [];
+  let size = 0;
+  try {
+    await zipFile.walkEntries(async (entry) => {
+      if (entry.fileName.endsWith('/')) return;
+      const target = path.resolve(dir, entry.fileName);
+      if (!target.startsWith(dir + path.sep)) {
+        throw invalidPackage(`The package contains a file outside of it: ${entry.fileName}`);
+      }
+      size += entry.uncompressedSize;
+      if (size > MAX_UNPACKED_SIZE) {
+        throw invalidPackage('The package is too large when unpacked');
+      }
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await pipeline(await zipFile.openReadStream(entry), createWriteStream(target));
+      fileNames.push(entry.fileName);
+    });
+  } catch (err) {
+    // yauzl rejects broken zip files and unsafe file names, without a code
+    throw err.code ? err : invalidPackage(`The zip file can't be unpacked (${err.message})`);
+  } finally {
+    await zipFile.close();
+  }
+  return fileNames;
+}
+
+/**
+ * Describe an unpacked package from its manifest. The manifest is usually at
+ * the top of the zip file; packages zipped with their folder have it one
+ * level down.
+ */
+async function readManifest(dir, fileNames, id) {
+  const find = (name) => fileNames
+    .filter((f) => path.posix.basename(f) === name)
+    .sort((a, b) => a.split('/').length - b.split('/').length)[0];
+  const manifest = find('cmi5.xml') || find('imsmanifest.xml');
+  if (!manifest) {
+    throw invalidPackage('Not a SCORM or cmi5 package: imsmanifest.xml or cmi5.xml is missing');
+  }
+
+  let root;
+  try {
+    root = parseXml(await fs.readFile(path.join(dir, manifest), 'utf8'));
+  } catch (err) {
+    throw invalidPackage(`${manifest} can't be read: ${err.message}`);
+  }
+  // URL of the folder with the manifest, which relative launch URLs start from
+  const folder = path.posix.dirname(manifest);
+  const baseUrl = `/learning-paths/packages/${id}/${folder === '.' ? '' : `${folder.split('/').map(encodeURIComponent).join('/')}/`}`;
+
+  const meta = path.posix.basename(manifest) === 'cmi5.xml'
+    ? readCmi5(root, baseUrl)
+    : readScorm(root, baseUrl);
+  if (meta.items.length === 0) {
+    throw invalidPackage(`${manifest} has nothing to launch`);
+  }
+  return { id, ...meta };
+}
+
+/**
+ * Read a SCORM imsmanifest.xml: the items of the default organization that
+ * refer to a resource with a launch URL.
+ */
+function readScorm(manifest, baseUrl) {
+  const schemaVersion = textOf(child(child(manifest, 'metadata'), 'schemaversion'));
+  const is12 = schemaVersion === '1.2'
+    || Object.values(manifest.attributes).some((value) => value.includes('adlcp_rootv1p2'));
+  let scormVersion = '2004 4th Edition';
+  if (is12) scormVersion = '1.2';
+  else if (schemaVersion.includes('3rd')) scormVersion = '2004 3rd Edition';
+
+  const organizations = child(manifest, 'organizations');
+  const organization = children(organizations, 'organization')
+    .find((org) => org.attributes.identifier === (organizations && organizations.attributes.default))
+    || child(organizations, 'organization');
+  const resourcesEl = child(manifest, 'resources');
+  const resources = new Map(children(resourcesEl, 'resource').map((res) => [res.attributes.identifier, res]));
+
+  const items = [];
+  const walk = (parent) => {
+    for (const item of children(parent, 'item')) {
+      const resource = resources.get(item.attributes.identifierref);
+      if (resource && resource.attributes.href) {
+        // xml:base of the manifest, the resources and the resource add up
+        const href = [manifest, resourcesEl, resource].map((el) => el.attributes.base || '').join('') + resource.attributes.href;
+        // Item parameters go after the href's own query, if it has one
+        let parameters = (item.attributes.parameters || '').replace(/^\?/, '');
+        if (parameters && parameters[0] !== '#') parameters = (href.includes('?') ? '&' : '?') + parameters;
+        const masteryScore = parseFloat(textOf(child(item, 'masteryscore')));
+        items.push({
+          id: item.attributes.identifier,
+          title: textOf(child(item, 'title')),
+          launchUrl: resolveUrl(baseUrl, href + parameters),
+          masteryScore: isNaN(masteryScore) ? null : masteryScore,
+          moveOn: null,
+        });
+      }
+      walk(item);
+    }
+  };
+  walk(organization);
+
+  return {
+    type: 'scorm',
+    title: textOf(child(organization, 'title')) || (items[0] && items[0].title) || '',
+    scormVersion,
+    items,
+  };
+}
+
+/**
+ * Read a cmi5.xml course structure: its AUs, also those in blocks.
+ */
+function readCmi5(courseStructure, baseUrl) {
+  const langstring = (el) => textOf(child(child(el, 'title'), 'langstring')) || textOf(child(el, 'title'));
+  const items = [];
+  const walk = (parent) => {
+    for (const el of parent.children) {
+      if (el.name === 'au') {
+        const masteryScore = parseFloat(el.attributes.masteryScore);
+        items.push({
+          id: el.attributes.id,
+          title: langstring(el),
+          launchUrl: resolveUrl(baseUrl, textOf(child(el, 'url'))),
+          // masteryScore is scaled (0..1) in cmi5
+          masteryScore: isNaN(masteryScore) ? null : Math.round(masteryScore * 100),
+          moveOn: el.attributes.moveOn || 'NotApplicable',
+        });
+      } else if (el.name === 'block') {
+        walk(el);
+      }
+    }
+  };
+  walk(courseStructure);
+
+  return {
+    type: 'cmi5',
+    title: langstring(child(courseStructure, 'course')) || (items[0] && items[0].title) || '',
+    scormVersion: null,
+    items,
+  };
+}
+
+// Launch URLs can be absolute (e.g. cmi5 AUs hosted elsewhere)
+function resolveUrl(baseUrl, url) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(url) ? url : baseUrl + url.replace(/^\.?\//, '');
+}
+
+module.exports = new LearningPackages();
@@ -0,0 +1,232 @@
+const fs = require('fs').promises;
+const path = require('path');
+const cmi5 = require('./cmi5');
+const scormData = require('./scormData');
+
+const PROGRESS_DIR = path.resolve(__dirname, '..', '..', 'data', 'learning-progress');
+
+const STATUSES = ['pending', 'active', 'completed'];
+// Routes can repeat nodes (e.g. retrying after a failed gate), but not forever
+const MAX_ROUTE_LENGTH = 1000;
+// Node types that report a score (%), as in the player
+const SCORED_TYPES = ['h5p', 'scorm', 'cmi5'];
+
+/**
+ * Progress of learners in learning paths, stored as
+ * data/learning-progress/<pathId>/<userId>.json.
+ *
+ * A progress record holds the node the learner is at, the route they took
+ * through the path (node ids in the order visited) and the state of every
+ * node they have been to, including the output port they left it by:
+ * `{ pathId, userId, currentNodeId, route, nodes: { [nodeId]: { status, score, startTime, port, completedAt } }, startedAt, updatedAt, completedAt }`.
+ */
+class LearningProgress {
+  constructor() {
+    // Serializes writes so two saves from the player don't overwrite each other
+    this._queue = Promise.resolve();
+  }
+
+  _dir(pathId) {
+    // Sanitize ids to prevent path traversal
+    return path.join(PROGRESS_DIR, String(pathId).replace(/[^a-zA-Z0-9_-]/g, ''));
+  }
+
+  _filePath(pathId, userId) {
+    return path.join(this._dir(pathId), `${String(userId).replace(/[^a-zA-Z0-9_-]/g, '')}.json`);
+  }
+
+  _enqueue(task) {
+    const result = this._queue.then(task);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Progress of a user in a learning path; a fresh record if they haven't
+   * started it yet.
+   */
+  async get(pathId, userId) {
+    try {
+      return JSON.parse(await fs.readFile(this._filePath(pathId, userId), 'utf8'));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      return {
+        pathId: String(pathId),
+        userId: String(userId),
+        currentNodeId: null,
+        route: [],
+        nodes: {},
+        startedAt: null,
+        updatedAt: null,
+        completedAt: null,
+      };
+    }
+  }
+
+  /**
+   * Save the state the player sends. Node states are merged into the stored
+   * ones, and a completed node stays completed. Nodes that are not in the
+   * path are ignored.
+   *
+   * The player decides when nodes are completed, but what the server can
+   * check is checked here: scores must be percentages, cmi5 nodes only
+   * complete once their AU is satisfied and take their score from what the
+   * AU reported (see cmi5.js), and the route only goes past a gate by its
+   * pass output if the scores before it are high enough.
+   *
+   * H5P and SCORM nodes ignore the scores the player sends as well: they
+   * take the score H5P saved as finished data for the content, or the one
+   * the package committed in its CMI data. Of these, the best attempt
+   * counts, as in the player.
+   * @param {object} pathData - the learning path
+   * @param {string} userId
+   * @param {{ currentNodeId?: string, route?: string[], nodes?: object }} update
+   * @param {import('@lumieducation/h5p-server').IContentUserDataStorage} contentUserDataStorage - has the finished data of H5P content
+   */
+  update(pathData, userId, update, contentUserDataStorage) {
+    return this._enqueue(async () => {
+      const progress = await this.get(pathData.id, userId);
+      const nodesById = new Map((pathData.nodes || []).map((node) => [node.id, node]));
+      const now = new Date().toISOString();
+
+      if (update.currentNodeId !== undefined) {
+        if (update.currentNodeId !== null && !nodesById.has(update.currentNodeId)) {
+          const err = new Error(`Node ${update.currentNodeId} is not in the learning path`);
+          err.code = 'EINVAL';
+          throw err;
+        }
+        progress.currentNodeId = update.currentNodeId;
+      }
+
+      for (const [nodeId, state] of Object.entries(update.nodes || {})) {
+        if (!nodesById.has(nodeId) || !state || !STATUSES.includes(state.status)) continue;
+        if (typeof state.score === 'number' && !(state.score >= 0 && state.score <= 100)) {
+          throw invalid(`The score of node ${nodeId} must be between 0 and 100`);
+        }
+        const node = nodesById.get(nodeId);
+        let { status, score } = state;
+        if (node.type === 'cmi5' && node.data?.packageUrl) {
+          const result = await cmi5.result(pathData.id, userId, nodeId);
+          if (status === 'completed' && !result.satisfied) status = 'active';
+          score = result.score;
+        }
+        const stored = progress.nodes[nodeId] || { status: 'pending', score: null, startTime: null, port: null, completedAt: null };
+        if (node.type === 'h5p' || node.type === 'scorm') {
+          const reported = node.type === 'h5p'
+            ? await h5pScore(contentUserDataStorage, node.data?.h5pContentId, userId)
+            : await scormData.score(pathData.id, userId, nodeId);
+          score = reported === null ? null : Math.max(reported, stored.score ?? 0);
+        }
+        if (stored.status !== 'completed') {
+          stored.status = status;
+          if (status === 'completed') stored.completedAt = now;
+        }
+        if (typeof score === 'number') stored.score = score;
+        if (typeof state.startTime === 'string') stored.startTime = state.startTime;
+        if (typeof state.port === 'string') stored.port = state.port;
+        progress.nodes[nodeId] = stored;
+      }
+
+      if (Array.isArray(update.route)) {
+        const route = update.route.filter((nodeId) => nodesById.has(nodeId));
+        // Only what was added to the route since the last save is checked
+        let known = 0;
+        while (known < route.length && known < progress.route.length && route[known] === progress.route[known]) known++;
+        for (let i = Math.max(known, 1); i < route.length; i++) {
+          const gate = nodesById.get(route[i - 1]);
+          if (gate.type === 'gate' && passTarget(pathData, gate.id) === route[i] && !gatePassed(route, i - 1, nodesById, progress.nodes)) {
+            throw invalid(`The scores before gate ${gate.id} are too low to pass it`);
+          }
+        }
+        // The player resumes at the last visit of the current node, so the latest visits count
+        progress.route = route.slice(-MAX_ROUTE_LENGTH);
+      }
+
+      const finished = Object.entries(progress.nodes)
+        .some(([nodeId, state]) => state.status === 'completed' && (nodesById.get(nodeId) || {}).type === 'end');
+      if (finished && !progress.completedAt) progress.completedAt = now;
+      progress.startedAt = progress.startedAt || now;
+      progress.updatedAt = now;
+
+      await fs.mkdir(this._dir(pathData.id), { recursive: true });
+      await fs.writeFile(this._filePath(pathData.id, userId), JSON.stringify(progress, null, 2), 'utf8');
+      return progress;
+    });
+  }
+
+  /**
+   * Forget the progress of a user, so they start the path from the beginning.
+   */
+  reset(pathId, userId) {
+    return this._enqueue(() => fs.rm(this._filePath(pathId, userId), { force: true }));
+  }
+
+  /**
+   * Remove the progress of all learners in a learning path.
+   */
+  removePath(pathId) {
+    return this._enqueue(() => fs.rm(this._dir(pathId), { recursive: true, force: true }));
+  }
+}
+
+function invalid(message) {
+  const err = new Error(message);
+  err.code = 'EINVAL';
+  return err;
+}
+
+/**
+ * Score (%) of the learner's last finished attempt at H5P content; null if
+ * they haven't finished it or it has no score.
+ */
+async function h5pScore(contentUserDataStorage, contentId, userId) {
+  if (!contentUserDataStorage || !contentId) return null;
+  const finished = (await contentUserDataStorage.getFinishedDataByContentId(String(contentId)) || [])
+    .find((data) => data.userId === String(userId));
+  if (!finished || !(finished.maxScore > 0)) return null;
+  return Math.round(Math.min(100, Math.max(0, (finished.score / finished.maxScore) * 100)));
+}
+
+/**
+ * The node a gate leads to when the learner passes it, unless failing it
+ * leads there too.
+ */
+function passTarget(pathData, gateId) {
+  const target = (port) => {
+    const conn = (pathData.connections || []).find((c) => c.from === gateId && c.fromPort === port);
+    return conn ? conn.to : null;
+  };
+  const pass = target('pass');
+  return pass !== target('fail') ? pass : null;
+}
+
+/**
+ * Whether the learner passes the gate at `index` of the route, the same way
+ * the player decides it: by the average score of the nodes since the
+ * previous gate, where scored nodes with a passing score but no score count
+ * as 0. Without scored nodes, the gate passes.
+ */
+function gatePassed(route, index, nodesById, states) {
+  const ids = new Set();
+  for (let i = index - 1; i >= 0; i--) {
+    if (nodesById.get(route[i]).type === 'gate') break;
+    ids.add(route[i]);
+  }
+  const scores = [];
+  for (const id of ids) {
+    const node = nodesById.get(id);
+    const score = states[id] ? states[id].score : null;
+    const required = Number(node.data?.passingScore ?? node.data?.masteryScore) || 0;
+    if (typeof score === 'number') {
+      scores.push(score);
+    } else if (SCORED_TYPES.includes(node.type) && required > 0) {
+      scores.push(0);
+    }
+  }
+  if (scores.length === 0) return true;
+  const gate = nodesById.get(route[index]);
+  const average = Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+  return average >= Number(gate.data?.requiredScore ?? 70);
+}
+
+module.exports = new LearningProgress();
@@ -1,14 +1,23 @@
+const fs = require('fs').promises;
 const express = require('express');
 const storage = require('./storage');
-const { NODE_TYPES, validatePath } = require('./nodeTypes');
+const { NODE_TYPES, validatePath, checkContentReferences } = require('./nodeTypes');
 const xapi = require('./xapi');
+const progress = require('./progress');
+const scormData = require('./scormData');
+const cmi5 = require('./cmi5');
+const packages = require('./packages');
+const contentIndex = require('../contentIndex');
+const trash = require('../trash');
+const { can, requirePermission } = require('../auth/permissions');
 
 /**
  * Creates Express routes for the learning path creator.
  * @param {import('@lumieducation/h5p-server').H5PEditor} h5pEditor
+ * @param {import('@lumieducation/h5p-server').IContentUserDataStorage} contentUserDataStorage - has the scores of H5P nodes
  * @returns {express.Router}
  */
-function createLearningPathRoutes(h5pEditor) {
+function createLearningPathRoutes(h5pEditor, contentUserDataStorage) {
   const router = express.Router();
 
   // --- API: Get all node type definitions (for the editor UI) ---
@@ -19,22 +28,52 @@ function createLearningPathRoutes(h5pEditor) {
   // --- API: List available H5P content (for H5P picker in nodes) ---
   router.get('/api/h5p-content', async (req, res) => {
     try {
-      const contentIds = await h5pEditor.contentManager.listContent(req.user);
-      const items = [];
-      for (const id of contentIds) {
-        try {
-          const meta = await h5pEditor.contentManager.getContentMetadata(id, req.user);
-          items.push({ id, title: meta.title || `Content ${id}` });
-        } catch {
-          items.push({ id, title: `Content ${id}` });
-        }
-      }
+      const items = (await contentIndex.list())
+        .map((item) => ({ id: item.id, title: item.title, folder: item.folder || '', tags: item.tags || [] }))
+        .sort((a, b) => a.title.localeCompare(b.title));
       res.json(items);
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   });
 
+  // --- API: Uploaded SCORM and cmi5 packages (for package nodes) ---
+  router.get('/api/packages', requirePermission('paths:edit'), async (_req, res) => {
+    try {
+      res.json(await packages.list());
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Packages are HTML and scripts served from our origin, to everyone who
+  // plays them, so like H5P libraries only administrators may add them
+  router.post('/api/packages', requirePermission('packages:upload'), async (req, res) => {
+    const file = req.files && req.files.file;
+    try {
+      if (!file) {
+        return res.status(400).json({ error: 'No file was uploaded' });
+      }
+      res.status(201).json(await packages.import(file.tempFilePath, file.name, req.user));
+    } catch (err) {
+      if (err.code === 'EINVAL') return res.status(400).json({ error: err.message });
+      res.status(500).json({ error: err.message });
+    } finally {
+      if (file && file.tempFilePath) {
+        await fs.unlink(file.tempFilePath).catch(() => {});
+      }
+    }
+  });
+
+  // Files of uploaded packages, served from our origin so SCORM packages can
+  // reach the SCORM runtime of the player
+  router.get('/packages/:packageId/*', (req, res) => {
+    if (!req.params[0]) return res.sendStatus(404);
+    res.sendFile(req.params[0], { root: packages.filesDir(req.params.packageId) }, (err) => {
+      if (err && !res.headersSent) res.sendStatus(err.status || 404);
+    });
+  });
+
   // --- API: CRUD for learning paths ---
   router.get('/api/paths', async (_req, res) => {
     try {
@@ -55,28 +94,39 @@ function createLearningPathRoutes(h5pEditor) {
     }
   });
 
-  router.post('/api/paths', async (req, res) => {
+  // H5P content the nodes refer to, to check their references
+  async function contentReferences() {
+    return {
+      contentIds: new Set((await contentIndex.list()).map((item) => item.id)),
+      trashedContent: new Map((await trash.list('content')).map((item) => [item.id, item.title])),
+    };
+  }
+
+  // Paths are saved even with broken references (the content may come back
+  // from the trash); the editor shows them as warnings
+  router.post('/api/paths', requirePermission('paths:edit'), async (req, res) => {
     try {
       const data = await storage.create(req.body);
-      res.status(201).json(data);
+      res.status(201).json({ ...data, warnings: checkContentReferences(data.nodes, await contentReferences()) });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   });
 
-  router.put('/api/paths/:id', async (req, res) => {
+  router.put('/api/paths/:id', requirePermission('paths:edit'), async (req, res) => {
     try {
       const data = await storage.update(req.params.id, req.body);
-      res.json(data);
+      res.json({ ...data, warnings: checkContentReferences(data.nodes, await contentReferences()) });
     } catch (err) {
       if (err.code === 'ENOENT') return res.status(404).json({ error: 'Not found' });
       res.status(500).json({ error: err.message });
     }
   });
 
-  router.delete('/api/paths/:id', async (req, res) => {
+  router.delete('/api/paths/:id', requirePermission('paths:edit'), async (req, res) => {
     try {
-      await storage.delete(req.params.id);
+      // Deleted paths go to the trash, from where they can be restored
+      await trash.trashPath(req.params.id, req.user);
       res.json({ success: true });
     } catch (err) {
       if (err.code === 'ENOENT') return res.status(404).json({ error: 'Not found' });
@@ -84,7 +134,7 @@ function createLearningPathRoutes(h5pEditor) {
     }
   });
 
-  router.post('/api/paths/:id/duplicate', async (req, res) => {
+  router.post('/api/paths/:id/duplicate', requirePermission('paths:edit'), async (req, res) => {
     try {
       const data = await storage.duplicate(req.params.id);
       res.status(201).json(data);
@@ -93,12 +143,108 @@ function createLearningPathRoutes(h5pEditor) {
     }
   });
 
-  router.post('/api/paths/:id/validate', async (req, res) => {
+  router.post('/api/paths/:id/validate', requirePermission('paths:edit'), async (req, res) => {
+    try {
+      const data = await storage.get(req.params.id);
+      res.json(validatePath(data, await contentReferences()));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // --- API: Progress of the logged-in learner ---
+  router.get('/api/paths/:id/progress', async (req, res) => {
+    try {
+      const data = await storage.get(req.params.id);
+      res.json(await progress.get(data.id, req.user.id));
+    } catch (err) {
+      if (err.code === 'ENOENT') return res.status(404).json({ error: 'Not found' });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.put('/api/paths/:id/progress', async (req, res) => {
+    try {
+      const data = await storage.get(req.params.id);
+      const { currentNodeId, route, nodes } = req.body || {};
+      if (nodes !== undefined && (typeof nodes !== 'object' || nodes === null || Array.isArray(nodes))) {
+        return res.status(400).json({ error: 'nodes must be an object of node states by node id' });
+      }
+      if (route !== undefined && !Array.isArray(route)) {
+        return res.status(400).json({ error: 'route must be an array of node ids' });
+      }
+      res.json(await progress.update(data, req.user.id, { currentNodeId, route, nodes }, contentUserDataStorage));
+    } catch (err) {
+      if (err.code === 'ENOENT') return res.status(404).json({ error: 'Not found' });
+      if (err.code === 'EINVAL') return res.status(400).json({ error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.delete('/api/paths/:id/progress', async (req, res) => {
+    try {
+      const data = await storage.get(req.params.id);
+      await progress.reset(data.id, req.user.id);
+      await scormData.reset(data.id, req.user.id);
+      await cmi5.reset(data.id, req.user.id);
+      res.json({ success: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') return res.status(404).json({ error: 'Not found' });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // --- API: CMI data of SCORM nodes, for the player's SCORM runtime ---
+  router.get('/api/paths/:id/nodes/:nodeId/scorm', async (req, res) => {
+    try {
+      const data = await storage.get(req.params.id);
+      const node = (data.nodes || []).find((n) => n.id === req.params.nodeId && n.type === 'scorm');
+      if (!node) return res.status(404).json({ error: 'SCORM node not found in learning path' });
+      const saved = await scormData.get(data.id, req.user.id, node.id);
+      res.json({ ...saved, learner: { id: req.user.id, name: req.user.name } });
+    } catch (err) {
+      if (err.code === 'ENOENT') return res.status(404).json({ error: 'Not found' });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.put('/api/paths/:id/nodes/:nodeId/scorm', async (req, res) => {
+    try {
+      const data = await storage.get(req.params.id);
+      const node = (data.nodes || []).find((n) => n.id === req.params.nodeId && n.type === 'scorm');
+      if (!node) return res.status(404).json({ error: 'SCORM node not found in learning path' });
+      res.json(await scormData.save(data.id, req.user.id, node.id, (req.body || {}).data));
+    } catch (err) {
+      if (err.code === 'ENOENT') return res.status(404).json({ error: 'Not found' });
+      if (err.code === 'EINVAL') return res.status(400).json({ error: err.message });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // --- API: cmi5 launches of cmi5 nodes ---
+  router.post('/api/paths/:id/nodes/:nodeId/cmi5/launch', async (req, res) => {
     try {
       const data = await storage.get(req.params.id);
-      const result = validatePath(data);
-      res.json(result);
+      const node = (data.nodes || []).find((n) => n.id === req.params.nodeId && n.type === 'cmi5');
+      if (!node) return res.status(404).json({ error: 'cmi5 node not found in learning path' });
+      if (!node.data || !node.data.packageUrl) {
+        return res.status(400).json({ error: 'The node has no package to launch' });
+      }
+      res.json(await cmi5.launch(data, node, req.user, `${req.protocol}://${req.get('host')}`));
     } catch (err) {
+      if (err.code === 'ENOENT') return res.status(404).json({ error: 'Not found' });
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  router.get('/api/paths/:id/nodes/:nodeId/cmi5', async (req, res) => {
+    try {
+      const data = await storage.get(req.params.id);
+      const node = (data.nodes || []).find((n) => n.id === req.params.nodeId && n.type === 'cmi5');
+      if (!node) return res.status(404).json({ error: 'cmi5 node not found in learning path' });
+      res.json(await cmi5.result(data.id, req.user.id, node.id));
+    } catch (err) {
+      if (err.code === 'ENOENT') return res.status(404).json({ error: 'Not found' });
       res.status(500).json({ error: err.message });
     }
   });
@@ -111,23 +257,39 @@ function createLearningPathRoutes(h5pEditor) {
         return res.status(400).json({ error: 'No LRS configured for this learning path' });
       }
 
-      const { verb, nodeId, result: xapiResult, extensions } = req.body;
+      const { verb, nodeId, result: xapiResult, extensions, statement: contentStatement } = req.body;
       const node = (pathData.nodes || []).find((n) => n.id === nodeId);
       if (!node) {
         return res.status(404).json({ error: 'Node not found in learning path' });
       }
 
-      const baseUrl = `${req.protocol}://${req.get('host')}/learning-paths`;
-      const statement = xapi.buildStatement({
-        user: { name: req.user?.name, email: req.user?.email },
-        verb,
-        pathId: pathData.id,
-        pathTitle: pathData.title,
-        node,
-        baseUrl,
-        result: xapiResult,
-        extensions,
-      });
+      const baseUrl = `${req.protocol}://${req.get('host')}`;
+      const user = { name: req.user?.name, email: req.user?.email };
+      let statement;
+      if (contentStatement !== undefined) {
+        // A statement of the content in the node (e.g. H5P), sent on as it is
+        if (!contentStatement || !contentStatement.verb?.id || !contentStatement.object?.id) {
+          return res.status(400).json({ error: 'statement must be an xAPI statement with verb and object' });
+        }
+        statement = xapi.buildForwardedStatement({
+          statement: contentStatement,
+          user,
+          pathId: pathData.id,
+          pathTitle: pathData.title,
+          baseUrl,
+        });
+      } else {
+        statement = xapi.buildStatement({
+          user,
+          verb,
+          pathId: pathData.id,
+          pathTitle: pathData.title,
+          node,
+          baseUrl,
+          result: xapiResult,
+          extensions,
+        });
+      }
 
       const lrsResult = await xapi.sendStatement(pathData.lrsConfig, statement);
       res.json({ statement, lrsResult });
@@ -139,25 +301,25 @@ function createLearningPathRoutes(h5pEditor) {
   // --- HTML Pages ---
 
   // Learning paths list page
-  router.get('/', async (_req, res) => {
+  router.get('/', async (req, res) => {
     try {
       const paths = await storage.list();
-      res.send(renderPathsListPage(paths));
+      res.send(renderPathsListPage(paths, req.user));
     } catch (err) {
       res.status(500).send(renderErrorPage('Error loading learning paths', err.message));
     }
   });
 
   // Node editor page
-  router.get('/editor', (_req, res) => {
+  router.get('/editor', requirePermission('paths:edit'), (req, res) => {
     // New learning path editor
-    res.send(renderEditorPage(null));
+    res.send(renderEditorPage(null, req.user));
   });
 
-  router.get('/editor/:id', async (req, res) => {
+  router.get('/editor/:id', requirePermission('paths:edit'), async (req, res) => {
     try {
       const data = await storage.get(req.params.id);
-      res.send(renderEditorPage(data));
+      res.send(renderEditorPage(data, req.user));
     } catch (err) {
       if (err.code === 'ENOENT') return res.status(404).send(renderErrorPage('Not Found', 'Learning path not found'));
       res.status(500).send(renderErrorPage('Error', err.message));
@@ -195,6 +357,9 @@ const NAV = `
       <div class="d-flex gap-2">
         <a href="/" class="btn btn-outline-light btn-sm">H5P Content</a>
         <a href="/learning-paths" class="btn btn-outline-info btn-sm">Learning Paths</a>
+        <form method="post" action="/logout" class="d-inline">
+          <button type="submit" class="btn btn-outline-secondary btn-sm">Log out</button>
+        </form>
       </div>
     </div>
   </nav>`;
@@ -221,7 +386,8 @@ function renderErrorPage(title, message) {
 </html>`;
 }
 
-function renderPathsListPage(paths) {
+function renderPathsListPage(paths, user) {
+  const canEdit = can(user, 'paths:edit');
   const rows = paths.length > 0
     ? paths.map((p) => `
         <tr>
@@ -230,13 +396,13 @@ function renderPathsListPage(paths) {
           <td>${p.nodeCount} nodes</td>
           <td>${p.updatedAt ? new Date(p.updatedAt).toLocaleDateString() : ''}</td>
           <td class="text-end">
-            <a href="/learning-paths/editor/${p.id}" class="btn btn-secondary btn-sm">Edit</a>
+            ${canEdit ? `<a href="/learning-paths/editor/${p.id}" class="btn btn-secondary btn-sm">Edit</a>` : ''}
             <a href="/learning-paths/play/${p.id}" class="btn btn-primary btn-sm">Play</a>
-            <button class="btn btn-outline-secondary btn-sm" onclick="duplicatePath('${p.id}')">Duplicate</button>
-            <button class="btn btn-danger btn-sm" onclick="deletePath('${p.id}')">Delete</button>
+            ${canEdit ? `<button class="btn btn-outline-secondary btn-sm" onclick="duplicatePath('${p.id}')">Duplicate</button>
+            <button class="btn btn-danger btn-sm" onclick="deletePath('${p.id}')">Delete</button>` : ''}
           </td>
         </tr>`).join('\n')
-    : '<tr><td colspan="5" class="text-center text-muted">No learning paths yet. Click "+ New Learning Path" to create one!</td></tr>';
+    : `<tr><td colspan="5" class="text-center text-muted">No learning paths yet.${canEdit ? ' Click "+ New Learning Path" to create one!' : ''}</td></tr>`;
 
   return `<!DOCTYPE html>
 <html lang="en">
@@ -251,7 +417,10 @@ function renderPathsListPage(paths) {
   <div class="container">
     <div class="d-flex justify-content-between align-items-center mb-3">
       <h1>Learning Paths</h1>
-      <a href="/learning-paths/editor" class="btn btn-success">+ New Learning Path</a>
+      ${canEdit ? `<div class="d-flex gap-2">
+        <a href="/trash" class="btn btn-outline-secondary">Trash</a>
+        <a href="/learning-paths/editor" class="btn btn-success">+ New Learning Path</a>
+      </div>` : ''}
     </div>
     <table class="table table-striped">
       <thead>
@@ -268,7 +437,7 @@ function renderPathsListPage(paths) {
   </div>
   <script>
     async function deletePath(id) {
-      if (!confirm('Delete this learning path?')) return;
+      if (!confirm('Move this learning path to the trash?')) return;
       await fetch('/learning-paths/api/paths/' + id, { method: 'DELETE' });
       location.reload();
     }
@@ -281,7 +450,7 @@ function renderPathsListPage(paths) {
 </html>`;
 }
 
-function renderEditorPage(pathData) {
+function renderEditorPage(pathData, user) {
   const dataAttr = pathData ? escapeHtml(JSON.stringify(pathData)) : '';
   return `<!DOCTYPE html>
 <html lang="en">
@@ -293,7 +462,7 @@ function renderEditorPage(pathData) {
   <link href="/learning-paths/static/editor.css" rel="stylesheet">
 </head>
 <body>
-  <div id="app" data-path="${dataAttr}"></div>
+  <div id="app" data-path="${dataAttr}" data-can-upload-packages="${can(user, 'packages:upload')}"></div>
   <script src="/learning-paths/static/editor.js"></script>
 </body>
 </html>`;
@@ -312,6 +481,8 @@ function renderPlayerPage(pathData) {
 </head>
 <body>
   <div id="app" data-path="${dataAttr}"></div>
+  <script src="/static/resize-parent.js"></script>
+  <script src="/learning-paths/static/scorm-runtime.js"></script>
   <script src="/learning-paths/static/player.js"></script>
 </body>
 </html>`;
@@ -0,0 +1,115 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const SCORM_DIR = path.resolve(__dirname, '..', '..', 'data', 'scorm-data');
+
+// Enough for 2004's 64000 characters of suspend data plus interactions
+const MAX_DATA_LENGTH = 1024 * 1024;
+
+/**
+ * CMI data of SCORM packages in learning path nodes, stored per learner as
+ * data/scorm-data/<pathId>/<userId>.json: `{ [nodeId]: { data, updatedAt } }`,
+ * where `data` maps CMI elements (e.g. "cmi.suspend_data") to their values.
+ * The player's SCORM runtime loads it when a package starts and saves it on
+ * every commit.
+ */
+class ScormData {
+  constructor() {
+    // Serializes writes so commits of one learner don't overwrite each other
+    this._queue = Promise.resolve();
+  }
+
+  _dir(pathId) {
+    // Sanitize ids to prevent path traversal
+    return path.join(SCORM_DIR, String(pathId).replace(/[^a-zA-Z0-9_-]/g, ''));
+  }
+
+  _filePath(pathId, userId) {
+    return path.join(this._dir(pathId), `${String(userId).replace(/[^a-zA-Z0-9_-]/g, '')}.json`);
+  }
+
+  _enqueue(task) {
+    const result = this._queue.then(task);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  async _read(pathId, userId) {
+    try {
+      return JSON.parse(await fs.readFile(this._filePath(pathId, userId), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return {};
+      throw err;
+    }
+  }
+
+  /**
+   * CMI data of a learner in a node; empty if they never started it.
+   */
+  async get(pathId, userId, nodeId) {
+    const nodes = await this._read(pathId, userId);
+    return nodes[nodeId] || { data: {}, updatedAt: null };
+  }
+
+  /**
+   * Score (%) in the CMI data a learner's package last committed in a node,
+   * computed the way the player's SCORM runtime reports it; null if the
+   * package hasn't committed one.
+   */
+  async score(pathId, userId, nodeId) {
+    const { data } = await this.get(pathId, userId, nodeId);
+    const scaled = parseFloat(data['cmi.score.scaled']);
+    if (!isNaN(scaled)) return Math.round(Math.min(1, Math.max(0, scaled)) * 100);
+    if (data['cmi.score.raw'] !== undefined) {
+      return scorePercent(data['cmi.score.raw'], data['cmi.score.min'], data['cmi.score.max']);
+    }
+    return scorePercent(data['cmi.core.score.raw'], data['cmi.core.score.min'], data['cmi.core.score.max']);
+  }
+
+  /**
+   * Replace the CMI data of a learner in a node.
+   * @param {Object<string, string>} data - values by CMI element
+   */
+  save(pathId, userId, nodeId, data) {
+    const valid = data && typeof data === 'object' && !Array.isArray(data)
+      && Object.entries(data).every(([key, value]) => key.startsWith('cmi.') && typeof value === 'string');
+    if (!valid || JSON.stringify(data).length > MAX_DATA_LENGTH) {
+      const err = new Error('data must map CMI elements to string values and be at most 1 MB');
+      err.code = 'EINVAL';
+      return Promise.reject(err);
+    }
+    return this._enqueue(async () => {
+      const nodes = await this._read(pathId, userId);
+      nodes[nodeId] = { data, updatedAt: new Date().toISOString() };
+      await fs.mkdir(this._dir(pathId), { recursive: true });
+      await fs.writeFile(this._filePath(pathId, userId), JSON.stringify(nodes, null, 2), 'utf8');
+      return nodes[nodeId];
+    });
+  }
+
+  /**
+   * Forget a learner's data of all nodes, e.g. when they restart the path.
+   */
+  reset(pathId, userId) {
+    return this._enqueue(() => fs.rm(this._filePath(pathId, userId), { force: true }));
+  }
+
+  /**
+   * Remove the data of all learners in a learning path.
+   */
+  removePath(pathId) {
+    return this._enqueue(() => fs.rm(this._dir(pathId), { recursive: true, force: true }));
+  }
+}
+
+// Score in % from raw, min and max; raw alone is taken as %
+function scorePercent(raw, min, max) {
+  const r = parseFloat(raw);
+  if (isNaN(r)) return null;
+  const lo = parseFloat(min) || 0;
+  const hi = parseFloat(max);
+  const pct = !isNaN(hi) && hi > lo ? ((r - lo) / (hi - lo)) * 100 : r;
+  return Math.round(Math.min(100, Math.max(0, pct)));
+}
+
+module.exports = new ScormData();
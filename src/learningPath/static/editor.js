@@ -17,6 +17,8 @@
   };
   let nodeTypes = {};
   let h5pContent = [];
+  let packages = [];        // Uploaded SCORM and cmi5 packages
+  let canUploadPackages = false;
   let selectedNodeId = null;
   let dragState = null;     // { nodeId, offsetX, offsetY }
   let connectState = null;  // { fromNodeId, fromPort, tempLine }
@@ -40,6 +42,7 @@
         pathId = pathData.id;
       } catch { /* start fresh */ }
     }
+    canUploadPackages = appEl.getAttribute('data-can-upload-packages') === 'true';
 
     // Fetch node type definitions
     try {
@@ -53,6 +56,12 @@
       h5pContent = await res.json();
     } catch { /* use empty */ }
 
+    // Fetch uploaded packages for package nodes
+    try {
+      const res = await fetch('/learning-paths/api/packages');
+      packages = await res.json();
+    } catch { /* use empty */ }
+
     buildUI();
     renderCanvas();
     renderMinimap();
@@ -185,6 +194,11 @@
     h5pModal.innerHTML = `
       <div class="modal-box">
         <h2>Select H5P Content</h2>
+        <div class="h5p-picker-filters">
+          <input type="text" id="h5p-picker-search" placeholder="Search by title..." oninput="LPEditor.renderH5pPicker()">
+          <select id="h5p-picker-tag" onchange="LPEditor.renderH5pPicker()"></select>
+        </div>
+        <div class="h5p-picker-breadcrumb" id="h5p-picker-breadcrumb"></div>
         <div class="h5p-picker-list" id="h5p-picker-list"></div>
         <div class="modal-actions">
           <button class="btn-cancel" onclick="LPEditor.hideH5pModal()">Cancel</button>
@@ -635,11 +649,34 @@
           html += `</select>`;
           break;
         case 'h5p-picker':
-          html += val
-            ? `<div class="h5p-selected">Selected: ${escHtml(h5pContent.find(c => String(c.id) === String(val))?.title || val)}</div>`
-            : '';
+          if (val) {
+            const selected = h5pContent.find(c => String(c.id) === String(val));
+            html += selected
+              ? `<div class="h5p-selected">Selected: ${escHtml(selected.title)}</div>`
+              : `<div class="h5p-missing">Selected content ${escHtml(val)} no longer exists</div>`;
+          }
           html += `<button class="h5p-picker-btn" onclick="LPEditor.showH5pModal('${field.name}')">Choose H5P Content</button>`;
           break;
+        case 'package-upload': {
+          const pkg = val ? packages.find((p) => p.id === val) : null;
+          if (pkg) {
+            html += `<div class="h5p-selected">Uploaded: ${escHtml(pkg.title || pkg.fileName)}</div>`;
+            // Packages with several SCOs or AUs: choose the one this node launches
+            if (pkg.items.length > 1) {
+              html += `<select onchange="LPEditor.selectPackageItem(this.value)">`;
+              for (const item of pkg.items) {
+                html += `<option value="${escAttr(item.id)}" ${node.data?.packageUrl === item.launchUrl ? 'selected' : ''}>${escHtml(item.title || item.id)}</option>`;
+              }
+              html += `</select>`;
+            }
+          } else if (val) {
+            html += `<div class="h5p-missing">Uploaded package ${escHtml(val)} no longer exists</div>`;
+          }
+          html += canUploadPackages
+            ? `<input type="file" accept=".zip" onchange="LPEditor.uploadPackage(this)">`
+            : `<div class="package-hint">Only administrators can upload packages.</div>`;
+          break;
+        }
       }
       html += `</div>`;
     }
@@ -661,6 +698,61 @@
     renderCanvas();
   }
 
+  // ─── Package upload ───────────────────────────────────────────────
+  async function uploadPackage(input) {
+    const node = pathData.nodes.find((n) => n.id === selectedNodeId);
+    const file = input.files[0];
+    if (!node || !file) return;
+    const form = new FormData();
+    form.append('file', file);
+    toast('Uploading package\u2026', 'info');
+    try {
+      const res = await fetch('/learning-paths/api/packages', { method: 'POST', body: form });
+      const result = await res.json();
+      if (!res.ok) throw new Error(result.error || res.statusText);
+      packages.unshift(result);
+      if (result.type !== node.type) {
+        toast(`This is a ${result.type === 'cmi5' ? 'cmi5' : 'SCORM'} package, use a ${result.type === 'cmi5' ? 'cmi5' : 'SCORM'} node for it`, 'error');
+      } else {
+        applyPackage(node, result, result.items[0]);
+        toast('Package uploaded', 'success');
+      }
+    } catch (err) {
+      toast('Upload failed: ' + err.message, 'error');
+    }
+    renderProperties();
+  }
+
+  function selectPackageItem(itemId) {
+    const node = pathData.nodes.find((n) => n.id === selectedNodeId);
+    const pkg = node && packages.find((p) => p.id === node.data?.packageId);
+    const item = pkg && pkg.items.find((i) => i.id === itemId);
+    if (!item) return;
+    applyPackage(node, pkg, item);
+    renderProperties();
+  }
+
+  /**
+   * Fill in the fields of a package node from an uploaded package and the
+   * SCO or AU of it the node launches.
+   */
+  function applyPackage(node, pkg, item) {
+    if (!node.data) node.data = {};
+    node.data.packageId = pkg.id;
+    node.data.packageUrl = item.launchUrl;
+    if (!node.data.title) node.data.title = item.title || pkg.title;
+    if (pkg.type === 'scorm') {
+      node.data.scormVersion = pkg.scormVersion;
+      if (item.masteryScore !== null) node.data.passingScore = item.masteryScore;
+    } else {
+      node.data.activityId = item.id;
+      node.data.moveOn = item.moveOn;
+      if (item.masteryScore !== null) node.data.masteryScore = item.masteryScore;
+    }
+    dirty = true;
+    renderCanvas();
+  }
+
   // ─── Minimap ──────────────────────────────────────────────────────
   function renderMinimap() {
     const mmSvg = document.getElementById('minimap-svg');
@@ -731,7 +823,11 @@
       dirty = false;
       if (statusEl) statusEl.textContent = 'Saved';
       setTimeout(() => { if (statusEl) statusEl.textContent = ''; }, 2000);
-      toast('Learning path saved', 'success');
+      if (data.warnings && data.warnings.length > 0) {
+        toast('Learning path saved, but:\n' + data.warnings.join('\n'), 'warning');
+      } else {
+        toast('Learning path saved', 'success');
+      }
     } catch (err) {
       toast('Failed to save: ' + err.message, 'error');
     }
@@ -779,18 +875,77 @@
   let h5pPickerField = null;
   let h5pPickerSelected = null;
 
+  let h5pPickerFolder = '';
+
   function showH5pModal(fieldName) {
     h5pPickerField = fieldName;
     h5pPickerSelected = null;
+    // Open the folder of the currently selected content
+    const node = pathData.nodes.find((n) => n.id === selectedNodeId);
+    const current = node && h5pContent.find((c) => String(c.id) === String(node.data?.[fieldName]));
+    h5pPickerFolder = current ? current.folder || '' : '';
+    document.getElementById('h5p-picker-search').value = '';
+    const tags = [...new Set(h5pContent.flatMap((c) => c.tags || []))].sort();
+    document.getElementById('h5p-picker-tag').innerHTML = '<option value="">All tags</option>' +
+      tags.map((t) => `<option value="${escAttr(t)}">${escHtml(t)}</option>`).join('');
+    renderH5pPicker();
+    document.getElementById('h5p-modal').classList.remove('hidden');
+  }
+
+  function openH5pFolder(folder) {
+    h5pPickerFolder = folder;
+    renderH5pPicker();
+  }
+
+  /**
+   * Show the sub folders and content of the current folder. While searching
+   * or filtering by tag, matching content of all sub folders is shown.
+   */
+  function renderH5pPicker() {
     const list = document.getElementById('h5p-picker-list');
+    const query = document.getElementById('h5p-picker-search').value.trim().toLowerCase();
+    const tag = document.getElementById('h5p-picker-tag').value;
+    const folder = h5pPickerFolder;
+    const prefix = folder ? folder + '/' : '';
+    const inFolder = (f) => !folder || f === folder || f.startsWith(prefix);
+
+    const parts = folder ? folder.split('/') : [];
+    document.getElementById('h5p-picker-breadcrumb').innerHTML =
+      `<a onclick="LPEditor.openH5pFolder('')">All content</a>` +
+      parts.map((part, i) => {
+        const path = parts.slice(0, i + 1).join('/');
+        return ` / <a data-folder="${escAttr(path)}" onclick="LPEditor.openH5pFolder(this.dataset.folder)">${escHtml(part)}</a>`;
+      }).join('');
+
     if (h5pContent.length === 0) {
       list.innerHTML = '<div style="padding:14px;color:#888">No H5P content found. Create some first!</div>';
-    } else {
-      list.innerHTML = h5pContent.map((c) =>
-        `<div class="h5p-picker-item" data-id="${c.id}" onclick="LPEditor.pickH5p(this, '${c.id}')">${escHtml(c.title)}</div>`
+      return;
+    }
+
+    let html = '';
+    const filtering = query || tag;
+    if (!filtering) {
+      const subfolders = new Set();
+      for (const c of h5pContent) {
+        const f = c.folder || '';
+        if (f.startsWith(prefix) && f !== folder) subfolders.add(f.slice(prefix.length).split('/')[0]);
+      }
+      html += [...subfolders].sort().map((name) =>
+        `<div class="h5p-picker-item h5p-picker-folder" data-folder="${escAttr(prefix + name)}" onclick="LPEditor.openH5pFolder(this.dataset.folder)">&#128193; ${escHtml(name)}</div>`
       ).join('');
     }
-    document.getElementById('h5p-modal').classList.remove('hidden');
+    const items = h5pContent.filter((c) =>
+      (filtering ? inFolder(c.folder || '') : (c.folder || '') === folder)
+      && (!query || c.title.toLowerCase().includes(query))
+      && (!tag || (c.tags || []).includes(tag)));
+    html += items.map((c) =>
+      `<div class="h5p-picker-item${String(c.id) === String(h5pPickerSelected) ? ' selected' : ''}" data-id="${c.id}" onclick="LPEditor.pickH5p(this, '${c.id}')">
+        ${escHtml(c.title)}
+        ${filtering && c.folder ? `<span class="h5p-picker-path">${escHtml(c.folder)}</span>` : ''}
+        ${(c.tags || []).map((t) => `<span class="h5p-picker-tag">${escHtml(t)}</span>`).join('')}
+      </div>`
+    ).join('');
+    list.innerHTML = html || '<div style="padding:14px;color:#888">No matching content.</div>';
   }
 
   function hideH5pModal() {
@@ -925,9 +1080,13 @@
     hideLrsModal,
     saveLrs,
     showH5pModal,
+    renderH5pPicker,
+    openH5pFolder,
     hideH5pModal,
     pickH5p,
     selectH5p,
+    uploadPackage,
+    selectPackageItem,
     selectNode: selectNode,
     deleteNode,
     updateField,
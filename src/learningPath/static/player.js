@@ -1,17 +1,26 @@
 /**
  * Learning Path Player
  * Walks learners through a node-based learning path, tracking progress via xAPI.
+ * Progress is saved on the server, so learners resume where they left off.
  */
 (function () {
   'use strict';
 
   let pathData = null;
-  let orderedNodes = [];        // Nodes in traversal order (flattened)
-  let currentIndex = 0;
-  let nodeStates = {};          // nodeId -> { status: 'pending'|'active'|'completed', score, startTime }
+  let route = [];               // Ids of the nodes on the learner's actual route, in the order visited
+  let currentIndex = 0;         // Position in route
+  let nodeStates = {};          // nodeId -> { status: 'pending'|'active'|'completed', score (%), startTime, port }
   let hasLrs = false;
+  let learnerId = null;         // Id of the logged-in user, from the saved progress
+  let frameTracked = null;      // Whether the content of the current node reports results: a score for H5P, use of the SCORM runtime for SCORM, a cmi5 launch for cmi5 (null: not known yet)
+  let scormRuntime = null;      // SCORM runtime of the current node (see scorm-runtime.js)
+  let cmi5Polling = null;       // Interval that checks the cmi5 result of the current node
+  let saving = Promise.resolve(); // Progress saves, one after the other
 
-  document.addEventListener('DOMContentLoaded', () => {
+  // Node types that report a score (%) to the player
+  const SCORED_TYPES = ['h5p', 'scorm', 'cmi5'];
+
+  document.addEventListener('DOMContentLoaded', async () => {
     const appEl = document.getElementById('app');
     const raw = appEl.getAttribute('data-path');
     if (!raw) return;
@@ -23,52 +32,106 @@
     }
 
     hasLrs = !!(pathData.lrsConfig && pathData.lrsConfig.endpoint);
-    orderedNodes = buildNodeOrder(pathData);
 
     // Init node states
-    for (const node of orderedNodes) {
-      nodeStates[node.id] = { status: 'pending', score: null, startTime: null };
+    for (const node of pathData.nodes) {
+      nodeStates[node.id] = { status: 'pending', score: null, startTime: null, port: null };
+    }
+
+    // Resume where the learner left off
+    const progress = await loadProgress();
+    if (progress) {
+      learnerId = progress.userId;
+      for (const [nodeId, saved] of Object.entries(progress.nodes)) {
+        if (nodeStates[nodeId]) nodeStates[nodeId] = { status: saved.status, score: saved.score, startTime: saved.startTime, port: saved.port || null };
+      }
+      route = (progress.route || []).filter((id) => getNode(id));
+      currentIndex = Math.max(0, route.lastIndexOf(progress.currentNodeId));
+    }
+    if (route.length === 0) {
+      const first = firstNode();
+      if (first) route = [first.id];
     }
 
     buildUI();
-    navigateTo(0);
+    if (route.length === 0) {
+      document.getElementById('content-display').innerHTML = '<div class="content-body"><p>This learning path has no content yet.</p></div>';
+      return;
+    }
+    navigateTo(currentIndex);
   });
 
+  window.addEventListener('message', onFrameMessage);
+  window.addEventListener('pagehide', endScormSession);
+
+  // ─── Graph traversal ──────────────────────────────────────────────
+  function getNode(id) {
+    return pathData.nodes.find((n) => n.id === id);
+  }
+
   /**
-   * Build a linear traversal order from the graph, starting at the Start node.
-   * Follows 'next' connections; stops at End or dead ends.
+   * The node a connection from `nodeId` leads to. With a port, only
+   * connections from that output port count; without one, the first
+   * connection does (nodes with a single output).
    */
-  function buildNodeOrder(data) {
-    const { nodes, connections } = data;
-    const startNode = nodes.find((n) => n.type === 'start');
-    if (!startNode) return nodes.filter((n) => n.type !== 'start' && n.type !== 'end');
-
-    const ordered = [];
-    const visited = new Set();
-    let current = startNode;
-
-    while (current && !visited.has(current.id)) {
-      visited.add(current.id);
-      // Don't include start/end in the playable nodes list unless they have content
-      if (current.type !== 'start') {
-        ordered.push(current);
-      }
+  function targetOf(nodeId, port) {
+    const conn = (pathData.connections || []).find(
+      (c) => c.from === nodeId && (!port || c.fromPort === port)
+    );
+    return conn ? getNode(conn.to) : null;
+  }
 
-      // Follow the first output connection (next, pass, pathA, etc.)
-      const outConns = connections.filter((c) => c.from === current.id);
-      if (outConns.length === 0) break;
+  /**
+   * The first node learners see: the one after Start. Paths without a
+   * Start node begin with their first content node.
+   */
+  function firstNode() {
+    const start = pathData.nodes.find((n) => n.type === 'start');
+    if (start) return targetOf(start.id, 'next');
+    return pathData.nodes.find((n) => n.type !== 'end') || null;
+  }
 
-      // For branch/gate nodes with multiple outputs, we'll handle it in the player
-      const nextConn = outConns[0]; // default: first connection
-      current = nodes.find((n) => n.id === nextConn.to);
+  /**
+   * Nodes that will come after the end of the route, as far as they are
+   * known: the path is followed until a node where the learner's choice or
+   * result decides how to go on.
+   */
+  function upcomingNodes() {
+    const upcoming = [];
+    const seen = new Set(route);
+    let node = getNode(route[route.length - 1]);
+    while (node && node.type !== 'end' && node.type !== 'branch' && node.type !== 'gate') {
+      node = targetOf(node.id);
+      if (!node || seen.has(node.id)) break;
+      seen.add(node.id);
+      upcoming.push(node);
     }
+    return upcoming;
+  }
 
-    // If no traversal possible, fallback to all content nodes
-    if (ordered.length === 0) {
-      return nodes.filter((n) => n.type !== 'start');
+  /**
+   * Complete the current node and go to the node its `port` output leads to.
+   * If the learner went back and now takes another way, the rest of the old
+   * route is dropped.
+   */
+  function advance(port) {
+    const node = getNode(route[currentIndex]);
+    if (!node || !canComplete(node)) return;
+    const target = targetOf(node.id, port);
+    if (port) nodeStates[node.id].port = port;
+    markCompleted(node);
+    if (!target) {
+      // A dead end: stay here
+      renderSidebar();
+      renderContent(node);
+      updateProgress();
+      saveProgress();
+      return;
     }
-
-    return ordered;
+    if (route[currentIndex + 1] !== target.id) {
+      route = route.slice(0, currentIndex + 1).concat(target.id);
+    }
+    navigateTo(currentIndex + 1);
   }
 
   function buildUI() {
@@ -82,6 +145,7 @@
       <a href="/learning-paths" class="brand">MyH5P</a>
       <span class="title">${esc(pathData.title)}</span>
       ${hasLrs ? '<span class="lrs-indicator"><span class="dot"></span>xAPI Active</span>' : '<span class="lrs-indicator"><span class="dot inactive"></span>xAPI Inactive</span>'}
+      <button type="button" class="back-btn" onclick="LPPlayer.restart()">Restart</button>
       <a href="/learning-paths" class="back-btn">Exit</a>
     `;
     app.appendChild(topbar);
@@ -117,11 +181,11 @@
     if (!sidebar) return;
     sidebar.innerHTML = '';
 
-    orderedNodes.forEach((node, idx) => {
+    const sidebarNode = (node, className) => {
       const state = nodeStates[node.id] || {};
       const nt = getNodeType(node.type);
       const div = document.createElement('div');
-      div.className = 'sidebar-node' + (idx === currentIndex ? ' active' : '') + (state.status === 'completed' ? ' completed' : '');
+      div.className = 'sidebar-node' + className + (state.status === 'completed' ? ' completed' : '');
       div.innerHTML = `
         <div class="node-icon-sm" style="background:${nt.color || '#555'}">${nt.icon || '?'}</div>
         <div class="node-info">
@@ -130,24 +194,33 @@
         </div>
         <span class="node-status">${state.status === 'completed' ? '\u2705' : state.status === 'active' ? '\u25B6' : '\u2B55'}</span>
       `;
-      div.addEventListener('click', () => navigateTo(idx));
       sidebar.appendChild(div);
+      return div;
+    };
+
+    route.forEach((nodeId, idx) => {
+      const div = sidebarNode(getNode(nodeId), idx === currentIndex ? ' active' : '');
+      div.addEventListener('click', () => navigateTo(idx));
     });
+    for (const node of upcomingNodes()) {
+      sidebarNode(node, ' upcoming');
+    }
   }
 
   function navigateTo(index) {
-    if (index < 0 || index >= orderedNodes.length) return;
+    if (index < 0 || index >= route.length) return;
 
     // Mark previous node as completed if it was active
-    if (currentIndex !== index && nodeStates[orderedNodes[currentIndex]?.id]?.status === 'active') {
-      markCompleted(orderedNodes[currentIndex]);
+    const previous = getNode(route[currentIndex]);
+    if (currentIndex !== index && nodeStates[previous?.id]?.status === 'active' && canComplete(previous)) {
+      markCompleted(previous);
     }
 
     currentIndex = index;
-    const node = orderedNodes[currentIndex];
+    const node = getNode(route[currentIndex]);
 
     // Mark as active
-    nodeStates[node.id].status = 'active';
+    if (nodeStates[node.id].status !== 'completed') nodeStates[node.id].status = 'active';
     nodeStates[node.id].startTime = new Date().toISOString();
 
     // Send xAPI launched statement
@@ -156,6 +229,7 @@
     renderSidebar();
     renderContent(node);
     updateProgress();
+    saveProgress();
   }
 
   function renderContent(node) {
@@ -219,33 +293,69 @@
       case 'h5p':
         bodyHtml = `<div class="content-body">`;
         if (node.data?.h5pContentId) {
-          bodyHtml += `<iframe src="/play/${escAttr(node.data.h5pContentId)}" style="width:100%;min-height:600px;border:none;"></iframe>`;
+          frameTracked = null;
+          bodyHtml += `<iframe id="node-frame" src="/embed/${escAttr(node.data.h5pContentId)}" style="width:100%;height:600px;border:none;"></iframe>`;
+          bodyHtml += `<div id="node-score" class="node-score"></div>`;
         } else {
           bodyHtml += '<p>No H5P content selected.</p>';
         }
         bodyHtml += `</div>`;
         break;
 
-      case 'cmi5':
       case 'scorm':
         bodyHtml = `<div class="content-body">`;
         if (node.data?.packageUrl) {
-          bodyHtml += `<iframe src="${escAttr(node.data.packageUrl)}" style="width:100%;min-height:600px;border:none;" allow="fullscreen"></iframe>`;
+          // The package is loaded by launchScorm, once its data is there
+          frameTracked = null;
+          bodyHtml += `<iframe id="node-frame" style="width:100%;min-height:600px;border:none;" allow="fullscreen"></iframe>`;
+          bodyHtml += `<div id="node-score" class="node-score"></div>`;
+        } else {
+          bodyHtml += `<p>No package URL configured.</p>`;
+        }
+        bodyHtml += `</div>`;
+        break;
+
+      case 'cmi5':
+        bodyHtml = `<div class="content-body">`;
+        if (node.data?.packageUrl) {
+          // The AU is started by launchCmi5, with the launch parameters
+          frameTracked = null;
+          bodyHtml += `<iframe id="node-frame" style="width:100%;min-height:600px;border:none;" allow="fullscreen"></iframe>`;
+          bodyHtml += `<div id="node-score" class="node-score"></div>`;
         } else {
           bodyHtml += `<p>No package URL configured.</p>`;
         }
         bodyHtml += `</div>`;
         break;
 
-      case 'gate':
+      case 'gate': {
+        const gate = gateResult(currentIndex);
+        const failedHere = gate.score !== null && !gate.passed && !targetOf(node.id, 'fail');
         bodyHtml = `<div class="content-body" style="text-align:center;padding:40px">
           <h2>\uD83D\uDEA7 ${esc(node.data?.title || 'Progress Check')}</h2>
-          <p style="color:#666;margin:12px 0">You need a score of ${node.data?.requiredScore || 70}% or higher to proceed.</p>
-          <button onclick="LPPlayer.passGate()" style="padding:10px 28px;background:#00897b;color:#fff;border:none;border-radius:6px;cursor:pointer;font-size:14px;margin-top:16px">Continue</button>
+          <p style="color:#666;margin:12px 0">You need a score of ${gate.required}% or higher to proceed.</p>
+          <p class="gate-score">${gate.score === null ? 'There are no scored activities before this check.' : `Your score: <strong>${gate.score}%</strong>`}</p>
+          ${failedHere
+            ? '<p class="gate-failed">Go back and improve your score to continue.</p>'
+            : '<button onclick="LPPlayer.passGate()" style="padding:10px 28px;background:#00897b;color:#fff;border:none;border-radius:6px;cursor:pointer;font-size:14px;margin-top:16px">Continue</button>'}
         </div>`;
         break;
+      }
 
-      case 'branch':
+      case 'branch': {
+        const port = branchPort(currentIndex);
+        if (port) {
+          const score = scoreBefore(currentIndex, false);
+          const label = esc(node.data?.[`${port}Label`] || (port === 'pathA' ? 'Path A' : 'Path B'));
+          bodyHtml = `<div class="content-body" style="text-align:center;padding:40px">
+            <h2>${esc(node.data?.title || 'Your path')}</h2>
+            ${node.data?.conditionType === 'score-based'
+              ? `<p style="color:#666;margin:12px 0">Based on your score so far (${score === null ? 'no scored activities' : `${score}%`}), you continue with <strong>${label}</strong>.</p>`
+              : ''}
+            <button onclick="LPPlayer.chooseBranch('${port}')" style="padding:10px 28px;background:#00897b;color:#fff;border:none;border-radius:6px;cursor:pointer;font-size:14px;margin-top:16px">Continue</button>
+          </div>`;
+          break;
+        }
         bodyHtml = `<div class="content-body">
           <h2 style="text-align:center;margin-bottom:20px">${esc(node.data?.title || 'Choose your path')}</h2>
           <div class="branch-choices">
@@ -260,6 +370,7 @@
           </div>
         </div>`;
         break;
+      }
 
       default:
         bodyHtml = `<div class="content-body"><p>Unsupported node type: ${esc(node.type)}</p></div>`;
@@ -273,21 +384,98 @@
       ${duration}
       ${bodyHtml}
     `;
+    endScormSession();
+    stopCmi5Polling();
+
+    const frame = document.getElementById('node-frame');
+    if (frame) {
+      // Content that never said whether it reports results doesn't hold the
+      // learner back. SCORM packages can start the runtime at any time, so
+      // only the author can tell that one doesn't (see launchScorm).
+      if (node.type !== 'scorm') {
+        frame.addEventListener('load', () => setTimeout(() => {
+          if (frameTracked === null && frame.isConnected && frame.getAttribute('src')) {
+            frameTracked = false;
+            renderNavButtons(node);
+          }
+        }, 1000));
+      }
+      if (node.type === 'scorm') launchScorm(node, frame);
+      if (node.type === 'cmi5') launchCmi5(node, frame);
+    }
+
+    renderNodeScore(node);
+    renderNavButtons(node);
+  }
 
-    // Nav buttons
+  function renderNavButtons(node) {
+    const navBtns = document.getElementById('nav-buttons');
+    if (!navBtns) return;
+
+    // Gates and branches go on with the buttons in their body
     const isFirst = currentIndex === 0;
-    const isLast = currentIndex === orderedNodes.length - 1;
-    const completedCount = Object.values(nodeStates).filter((s) => s.status === 'completed').length;
+    const hasNext = !!targetOf(node.id);
+    const { completed, total } = countProgress();
+    let nextButton;
+    if (node.type === 'gate' || node.type === 'branch') {
+      nextButton = '';
+    } else if (!canComplete(node)) {
+      const required = requiredScore(node);
+      if (node.type === 'scorm') {
+        nextButton = `<button class="primary" disabled>Finish the package${required > 0 ? ` with ${required}%` : ''} to continue</button>`;
+      } else if (frameTracked === null) {
+        nextButton = '<button class="primary" disabled>Loading\u2026</button>';
+      } else if (node.type === 'cmi5') {
+        nextButton = '<button class="primary" disabled>Finish the package to continue</button>';
+      } else {
+        nextButton = `<button class="primary" disabled>Reach ${required}% to continue</button>`;
+      }
+    } else if (hasNext) {
+      nextButton = '<button class="primary" onclick="LPPlayer.next()">Mark Complete &amp; Continue \u2192</button>';
+    } else {
+      nextButton = `<button class="primary" ${nodeStates[node.id].status === 'completed' ? 'disabled' : ''} onclick="LPPlayer.next()">Mark Complete</button>`;
+    }
 
     navBtns.innerHTML = `
       <button ${isFirst ? 'disabled' : ''} onclick="LPPlayer.prev()">\u2190 Previous</button>
-      <span class="completion-info">${completedCount} / ${orderedNodes.length} completed</span>
-      <button class="primary" ${isLast ? 'disabled' : ''} onclick="LPPlayer.next()">
-        ${isLast ? 'Finish' : 'Mark Complete & Continue \u2192'}
-      </button>
+      <span class="completion-info">${completed} / ${total} completed</span>
+      ${nextButton}
     `;
   }
 
+  /**
+   * Score of the learner below the H5P content or SCORM package of a node.
+   */
+  function renderNodeScore(node) {
+    const el = document.getElementById('node-score');
+    if (!el) return;
+    const { score } = nodeStates[node.id];
+    const required = requiredScore(node);
+    el.innerHTML = score === null || score === undefined
+      ? (required > 0 && frameTracked !== false ? `You need a score of ${required}% to complete this activity.` : '')
+      : `Your score: <strong>${score}%</strong>${required > 0 ? ` (${required}% needed)` : ''}`;
+  }
+
+  /**
+   * Whether the learner may complete a node. H5P content that gives a score
+   * must have reached the node's passing score. SCORM packages complete
+   * their node themselves through the runtime (see applyScormResult), unless
+   * the author marked the node as untracked, and so do launched cmi5 AUs
+   * once their move on criteria are met (see applyCmi5Result).
+   */
+  function canComplete(node) {
+    const state = nodeStates[node.id];
+    if (state.status === 'completed') return true;
+    if ((node.type === 'scorm' || node.type === 'cmi5') && node.data?.packageUrl) {
+      return node.id === route[currentIndex] && frameTracked === false;
+    }
+    if (node.type !== 'h5p' || !node.data?.h5pContentId || requiredScore(node) <= 0) return true;
+    if (typeof state.score === 'number' && state.score >= requiredScore(node)) return true;
+    // Content of other nodes on the route can't be checked here
+    if (node.id !== route[currentIndex]) return false;
+    return frameTracked === false;
+  }
+
   function markCompleted(node) {
     if (!node) return;
     nodeStates[node.id].status = 'completed';
@@ -302,19 +490,25 @@
     });
   }
 
+  /**
+   * Completed nodes out of the nodes on the route and the ones known to
+   * come after it.
+   */
+  function countProgress() {
+    const ids = new Set(route.concat(upcomingNodes().map((n) => n.id)));
+    const completed = [...ids].filter((id) => nodeStates[id].status === 'completed').length;
+    return { completed, total: ids.size };
+  }
+
   function updateProgress() {
-    const completed = Object.values(nodeStates).filter((s) => s.status === 'completed').length;
-    const pct = orderedNodes.length > 0 ? (completed / orderedNodes.length) * 100 : 0;
+    const { completed, total } = countProgress();
+    const pct = total > 0 ? (completed / total) * 100 : 0;
     const bar = document.getElementById('progress-bar');
     if (bar) bar.style.width = pct + '%';
   }
 
   function next() {
-    const current = orderedNodes[currentIndex];
-    if (current) markCompleted(current);
-    if (currentIndex < orderedNodes.length - 1) {
-      navigateTo(currentIndex + 1);
-    }
+    advance();
   }
 
   function prev() {
@@ -323,29 +517,339 @@
     }
   }
 
+  /**
+   * Score of the learner (%) in the scored nodes on the route before the
+   * node at `index`, back to the previous gate or from the start: the
+   * average of their scores. Nodes that report scores but have none yet
+   * count as 0 if they have a passing score. Null if there are no scored
+   * nodes.
+   */
+  function scoreBefore(index, sincePreviousGate = true) {
+    const ids = new Set();
+    for (let i = index - 1; i >= 0; i--) {
+      const node = getNode(route[i]);
+      if (sincePreviousGate && node.type === 'gate') break;
+      ids.add(node.id);
+    }
+    const scores = [];
+    for (const id of ids) {
+      const node = getNode(id);
+      const score = nodeStates[id].score;
+      if (typeof score === 'number') {
+        scores.push(score);
+      } else if (SCORED_TYPES.includes(node.type) && requiredScore(node) > 0) {
+        scores.push(0);
+      }
+    }
+    if (scores.length === 0) return null;
+    return Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length);
+  }
+
+  /**
+   * Passing score (%) of a node: `passingScore`, or `masteryScore` for cmi5.
+   */
+  function requiredScore(node) {
+    return Number(node.data?.passingScore ?? node.data?.masteryScore) || 0;
+  }
+
+  /**
+   * Whether the learner passes the gate at `index` of the route. Without
+   * scored nodes before it, there is nothing to check and the gate passes.
+   */
+  function gateResult(index) {
+    const node = getNode(route[index]);
+    const required = Number(node.data?.requiredScore ?? 70);
+    const score = scoreBefore(index);
+    return { score, required, passed: score === null || score >= required };
+  }
+
+  /**
+   * The output a branch at `index` of the route takes by itself, or null if
+   * the learner chooses. Score-based branches take Path A from the
+   * threshold on, with the score since the start. Random branches assign a
+   * path from the learner and node ids, so a learner always gets the same
+   * path, also after a restart.
+   */
+  function branchPort(index) {
+    const node = getNode(route[index]);
+    switch (node.data?.conditionType) {
+      case 'score-based': {
+        const threshold = Number(node.data?.scoreThreshold ?? 70);
+        return (scoreBefore(index, false) ?? 0) >= threshold ? 'pathA' : 'pathB';
+      }
+      case 'random':
+        if (!learnerId) return nodeStates[node.id].port || (Math.random() < 0.5 ? 'pathA' : 'pathB');
+        return hashString(`${learnerId}:${pathData.id}:${node.id}`) % 2 === 0 ? 'pathA' : 'pathB';
+      default:
+        return null;
+    }
+  }
+
   function passGate() {
-    // For simplicity, gates auto-pass. In a real implementation,
-    // you'd check the score from the previous node.
-    next();
+    const node = getNode(route[currentIndex]);
+    if (!node || node.type !== 'gate') return;
+    const { score, passed } = gateResult(currentIndex);
+    if (score !== null) {
+      nodeStates[node.id].score = score;
+      sendXapi(passed ? 'passed' : 'failed', node, {
+        score: { scaled: score / 100, raw: score, min: 0, max: 100 },
+        success: passed,
+      });
+    }
+    advance(passed ? 'pass' : 'fail');
   }
 
   function chooseBranch(portName) {
-    // Find the connection for the chosen branch
-    const node = orderedNodes[currentIndex];
-    if (!node) return;
-    const conn = pathData.connections.find(
-      (c) => c.from === node.id && c.fromPort === portName
-    );
-    if (conn) {
-      const targetIdx = orderedNodes.findIndex((n) => n.id === conn.to);
-      if (targetIdx >= 0) {
-        markCompleted(node);
-        navigateTo(targetIdx);
-        return;
+    const node = getNode(route[currentIndex]);
+    if (!node || node.type !== 'branch') return;
+    // Only learner-choice branches can be steered by the learner
+    advance(branchPort(currentIndex) || portName);
+  }
+
+  function restart() {
+    if (!confirm('Start this learning path again from the beginning? Your progress will be lost.')) return;
+    endScormSession();
+    saving = saving.then(() => fetch(`/learning-paths/api/paths/${pathData.id}/progress`, { method: 'DELETE' }))
+      .catch(() => {})
+      .then(() => window.location.reload());
+  }
+
+  // ─── Progress helpers ─────────────────────────────────────────────
+  async function loadProgress() {
+    if (!pathData.id) return null;
+    try {
+      const res = await fetch(`/learning-paths/api/paths/${pathData.id}/progress`);
+      return res.ok ? await res.json() : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function saveProgress() {
+    if (!pathData.id) return;
+    const body = JSON.stringify({ currentNodeId: route[currentIndex] || null, route, nodes: nodeStates });
+    saving = saving.then(() => fetch(`/learning-paths/api/paths/${pathData.id}/progress`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+    })).catch(() => {
+      // Silently fail - the learner can go on, progress is saved with the next step
+    });
+  }
+
+  // ─── Messages from the H5P content of the current node ───────────
+  function onFrameMessage(event) {
+    const data = event.data;
+    if (!data || data.context !== 'myh5p') return;
+    const frame = document.getElementById('node-frame');
+    const node = getNode(route[currentIndex]);
+    if (!frame || event.source !== frame.contentWindow || node?.type !== 'h5p') return;
+
+    if (data.action === 'ready') {
+      frameTracked = !!data.scorable;
+    } else if (data.action === 'xAPI' && data.statement?.object) {
+      recordH5pStatement(node, data.statement);
+    } else {
+      return;
+    }
+    renderNodeScore(node);
+    renderNavButtons(node);
+  }
+
+  /**
+   * Record the score and completion an H5P statement reports on the node,
+   * and send the statement on to the LRS. Statements about parts of the
+   * content (e.g. single questions of a question set) are only sent on.
+   */
+  function recordH5pStatement(node, statement) {
+    sendXapiStatement(node, statement);
+    if (String(statement.object.id).includes('subContentId=')) return;
+
+    const state = nodeStates[node.id];
+    const result = statement.result || {};
+    const score = scorePercent(result.score);
+    if (score !== null) {
+      // The best attempt counts
+      state.score = Math.max(score, state.score ?? 0);
+      frameTracked = true;
+    }
+    if (result.completion && state.status !== 'completed' && (score === null || canComplete(node))) {
+      markCompleted(node);
+      renderSidebar();
+      updateProgress();
+    }
+    saveProgress();
+  }
+
+  // Score of an xAPI result in %, or null if there is none
+  function scorePercent(score) {
+    if (!score) return null;
+    if (typeof score.scaled === 'number') return Math.round(score.scaled * 100);
+    if (typeof score.raw === 'number' && score.max > 0) return Math.round((score.raw / score.max) * 100);
+    return null;
+  }
+
+  // ─── SCORM packages ───────────────────────────────────────────────
+  /**
+   * Load the CMI data of the learner in a SCORM node, provide the runtime's
+   * API to the package and start it in its frame.
+   */
+  async function launchScorm(node, frame) {
+    let saved = { data: {}, learner: { id: learnerId || '', name: '' } };
+    try {
+      const res = await fetch(`/learning-paths/api/paths/${pathData.id}/nodes/${node.id}/scorm`);
+      if (res.ok) saved = await res.json();
+    } catch {
+      // Start without the data of earlier sessions
+    }
+    // The learner may have moved on meanwhile
+    if (!frame.isConnected) return;
+
+    scormRuntime = LPScormRuntime.create({
+      version: node.data.scormVersion,
+      data: saved.data,
+      learner: saved.learner,
+      passingScore: requiredScore(node),
+      onInitialize: () => {
+        frameTracked = true;
+        renderNodeScore(node);
+        renderNavButtons(node);
+      },
+      onCommit: (data, final) => saveScormData(node, data, final),
+      onResult: (result) => applyScormResult(node, result),
+    });
+    window[scormRuntime.name] = scormRuntime.api;
+    if (node.data.untracked) {
+      // The learner completes the node; a package that starts the runtime after all still reports
+      frameTracked = false;
+      renderNodeScore(node);
+      renderNavButtons(node);
+    }
+    frame.src = node.data.packageUrl;
+  }
+
+  /**
+   * End the SCORM session of the current node, if the package didn't, and
+   * take the runtime's API away.
+   */
+  function endScormSession() {
+    if (!scormRuntime) return;
+    scormRuntime.finish();
+    delete window[scormRuntime.name];
+    scormRuntime = null;
+  }
+
+  /**
+   * Record the score and status a SCORM package committed on its node. The
+   * node is completed once the package is completed (or passed) and, if it
+   * reports a score, reaches the passing score or says it passed.
+   */
+  function applyScormResult(node, result) {
+    const state = nodeStates[node.id];
+    if (result.score !== null) {
+      // The best attempt counts
+      state.score = Math.max(result.score, state.score ?? 0);
+    }
+    const passed = result.passed ?? (typeof state.score !== 'number' || state.score >= requiredScore(node));
+    if ((result.completed || result.passed) && passed && state.status !== 'completed') {
+      markCompleted(node);
+      renderSidebar();
+      updateProgress();
+    }
+    saveProgress();
+    if (node.id === route[currentIndex]) {
+      renderNodeScore(node);
+      renderNavButtons(node);
+    }
+  }
+
+  function saveScormData(node, data, final) {
+    const body = JSON.stringify({ data });
+    // The last save of a session may happen while the page closes
+    const send = () => fetch(`/learning-paths/api/paths/${pathData.id}/nodes/${node.id}/scorm`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body,
+      keepalive: final && body.length < 60000,
+    });
+    if (final) {
+      const request = send().catch(() => {});
+      saving = saving.then(() => request);
+    } else {
+      saving = saving.then(send).catch(() => {
+        // Silently fail - the package commits again later
+      });
+    }
+  }
+
+  // ─── cmi5 packages ────────────────────────────────────────────────
+  /**
+   * Launch the AU of a cmi5 node in its frame. The AU reports to the
+   * server, so its result is checked every few seconds while the node is
+   * shown.
+   */
+  async function launchCmi5(node, frame) {
+    let launch = null;
+    try {
+      const res = await fetch(`/learning-paths/api/paths/${pathData.id}/nodes/${node.id}/cmi5/launch`, { method: 'POST' });
+      if (res.ok) launch = await res.json();
+    } catch {
+      // Handled below
+    }
+    // The learner may have moved on meanwhile
+    if (!frame.isConnected) return;
+    if (!launch) {
+      // Without a launch, the AU can't report and doesn't hold the learner back
+      frameTracked = false;
+      renderNodeScore(node);
+      renderNavButtons(node);
+      return;
+    }
+
+    frameTracked = true;
+    applyCmi5Result(node, launch.result);
+    renderNodeScore(node);
+    renderNavButtons(node);
+    frame.src = launch.url;
+    cmi5Polling = setInterval(async () => {
+      try {
+        const res = await fetch(`/learning-paths/api/paths/${pathData.id}/nodes/${node.id}/cmi5`);
+        if (res.ok && cmi5Polling && frame.isConnected) applyCmi5Result(node, await res.json());
+      } catch {
+        // Try again with the next check
       }
+    }, 3000);
+  }
+
+  function stopCmi5Polling() {
+    clearInterval(cmi5Polling);
+    cmi5Polling = null;
+  }
+
+  /**
+   * Record the score of a cmi5 AU on its node, and complete the node once
+   * the AU is satisfied.
+   */
+  function applyCmi5Result(node, result) {
+    const state = nodeStates[node.id];
+    let changed = false;
+    if (typeof result.score === 'number' && result.score > (state.score ?? -1)) {
+      state.score = result.score;
+      changed = true;
+    }
+    if (result.satisfied && state.status !== 'completed') {
+      markCompleted(node);
+      renderSidebar();
+      updateProgress();
+      changed = true;
+    }
+    if (result.satisfied) stopCmi5Polling();
+    if (!changed) return;
+    saveProgress();
+    if (node.id === route[currentIndex]) {
+      renderNodeScore(node);
+      renderNavButtons(node);
     }
-    // Fallback: just go next
-    next();
   }
 
   // ─── xAPI helpers ─────────────────────────────────────────────────
@@ -362,6 +866,20 @@
     }
   }
 
+  // Send a statement of the content in a node on to the LRS
+  async function sendXapiStatement(node, statement) {
+    if (!hasLrs || !pathData.id) return;
+    try {
+      await fetch(`/learning-paths/api/paths/${pathData.id}/xapi`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ nodeId: node.id, statement }),
+      });
+    } catch {
+      // Silently fail - don't block learner progress
+    }
+  }
+
   // ─── Utilities ────────────────────────────────────────────────────
   function getNodeType(type) {
     // Basic type info for rendering (we don't load full nodeTypes in player)
@@ -389,6 +907,16 @@
     return String(str || '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
   }
 
+  // FNV-1a hash of a string, as an unsigned 32 bit number
+  function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+      hash ^= str.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
   function formatDuration(start, end) {
     const ms = end.getTime() - start.getTime();
     const secs = Math.floor(ms / 1000);
@@ -403,6 +931,7 @@
     prev,
     passGate,
     chooseBranch,
+    restart,
   };
 
 })();
@@ -0,0 +1,429 @@
+/**
+ * SCORM runtime for scorm nodes in the learning path player.
+ * Provides the API object SCORM packages look for in their parent windows:
+ * `API` for SCORM 1.2 and `API_1484_11` for SCORM 2004. The CMI data lives
+ * in memory while the package runs; the player loads it from and saves it to
+ * the server (see ../scormData.js).
+ */
+(function () {
+  'use strict';
+
+  const ERROR_STRINGS_12 = {
+    0: 'No error',
+    101: 'General exception',
+    201: 'Invalid argument error',
+    202: 'Element cannot have children',
+    203: 'Element not an array - cannot have count',
+    301: 'Not initialized',
+    401: 'Not implemented error',
+    402: 'Invalid set value, element is a keyword',
+    403: 'Element is read only',
+    404: 'Element is write only',
+    405: 'Incorrect data type',
+  };
+
+  const ERROR_STRINGS_2004 = {
+    0: 'No error',
+    101: 'General exception',
+    102: 'General initialization failure',
+    103: 'Already initialized',
+    104: 'Content instance terminated',
+    111: 'General termination failure',
+    112: 'Termination before initialization',
+    113: 'Termination after termination',
+    122: 'Retrieve data before initialization',
+    123: 'Retrieve data after termination',
+    132: 'Store data before initialization',
+    133: 'Store data after termination',
+    142: 'Commit before initialization',
+    143: 'Commit after termination',
+    201: 'General argument error',
+    301: 'General get failure',
+    351: 'General set failure',
+    391: 'General commit failure',
+    401: 'Undefined data model element',
+    402: 'Unimplemented data model element',
+    403: 'Data model element value not initialized',
+    404: 'Data model element is read only',
+    405: 'Data model element is write only',
+    406: 'Data model element type mismatch',
+    407: 'Data model element value out of range',
+  };
+
+  // Error codes by situation, as the two versions number them differently
+  const CODES_12 = {
+    initialized: 101, terminated: 101, termBeforeInit: 301, termAfterTerm: 301,
+    getBeforeInit: 301, getAfterTerm: 301, setBeforeInit: 301, setAfterTerm: 301,
+    commitBeforeInit: 301, commitAfterTerm: 301, argument: 201, undefinedElement: 201,
+    notSet: 0, readOnly: 403, writeOnly: 404, keyword: 402, typeMismatch: 405, setFailure: 201,
+  };
+
+  const CODES_2004 = {
+    initialized: 103, terminated: 104, termBeforeInit: 112, termAfterTerm: 113,
+    getBeforeInit: 122, getAfterTerm: 123, setBeforeInit: 132, setAfterTerm: 133,
+    commitBeforeInit: 142, commitAfterTerm: 143, argument: 201, undefinedElement: 401,
+    notSet: 403, readOnly: 404, writeOnly: 405, keyword: 404, typeMismatch: 406, setFailure: 351,
+  };
+
+  const TIMESPAN_12 = /^(\d{2,4}):(\d{2}):(\d{2})(\.\d{1,2})?$/;
+  const DURATION_2004 = /^P(?:(\d+)Y)?(?:(\d+)M)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+(?:\.\d{1,2})?)S)?)?$/;
+  const DECIMAL = /^-?\d+(\.\d+)?$/;
+
+  const maxLength = (length) => (value) => value.length <= length;
+  const oneOf = (...values) => (value) => values.includes(value);
+  const decimal = (min, max) => (value) => DECIMAL.test(value)
+    && (min === undefined || Number(value) >= min) && (max === undefined || Number(value) <= max);
+  const emptyOr = (check) => (value) => value === '' || check(value);
+
+  /**
+   * Data model elements. `value` computes read-only elements from the
+   * session, `initial` is the value of elements the package hasn't set yet
+   * and `check` validates values the package sets.
+   */
+  const MODEL_12 = {
+    'cmi._version': { access: 'r', value: () => '3.4' },
+    'cmi.core._children': { access: 'r', value: () => 'student_id,student_name,lesson_location,credit,lesson_status,entry,score,total_time,lesson_mode,exit,session_time' },
+    'cmi.core.student_id': { access: 'r', value: (session) => session.learner.id },
+    'cmi.core.student_name': { access: 'r', value: (session) => session.learner.name },
+    'cmi.core.lesson_location': { access: 'rw', initial: '', check: maxLength(255) },
+    'cmi.core.credit': { access: 'r', value: () => 'credit' },
+    'cmi.core.lesson_status': { access: 'rw', initial: 'not attempted', check: oneOf('passed', 'completed', 'failed', 'incomplete', 'browsed') },
+    'cmi.core.entry': { access: 'r', value: (session) => session.entry },
+    'cmi.core.score._children': { access: 'r', value: () => 'raw,min,max' },
+    'cmi.core.score.raw': { access: 'rw', initial: '', check: emptyOr(decimal(0, 100)) },
+    'cmi.core.score.min': { access: 'rw', initial: '', check: emptyOr(decimal(0, 100)) },
+    'cmi.core.score.max': { access: 'rw', initial: '', check: emptyOr(decimal(0, 100)) },
+    'cmi.core.total_time': { access: 'r', value: (session) => formatTime(session.totalTime, false) },
+    'cmi.core.lesson_mode': { access: 'r', value: () => 'normal' },
+    'cmi.core.exit': { access: 'w', check: oneOf('time-out', 'suspend', 'logout', '') },
+    'cmi.core.session_time': { access: 'w', check: (value) => TIMESPAN_12.test(value) },
+    'cmi.suspend_data': { access: 'rw', initial: '', check: maxLength(4096) },
+    'cmi.launch_data': { access: 'r', value: () => '' },
+    'cmi.comments': { access: 'rw', initial: '', check: maxLength(4096) },
+    'cmi.comments_from_lms': { access: 'r', value: () => '' },
+    'cmi.student_data._children': { access: 'r', value: () => 'mastery_score,max_time_allowed,time_limit_action' },
+    'cmi.student_data.mastery_score': { access: 'r', value: (session) => (session.passingScore > 0 ? String(session.passingScore) : '') },
+    'cmi.student_data.max_time_allowed': { access: 'r', value: () => '' },
+    'cmi.student_data.time_limit_action': { access: 'r', value: () => 'continue,no message' },
+    'cmi.student_preference._children': { access: 'r', value: () => 'audio,language,speed,text' },
+    'cmi.student_preference.audio': { access: 'rw', initial: '0', check: decimal(-1, 100) },
+    'cmi.student_preference.language': { access: 'rw', initial: '', check: maxLength(255) },
+    'cmi.student_preference.speed': { access: 'rw', initial: '0', check: decimal(-100, 100) },
+    'cmi.student_preference.text': { access: 'rw', initial: '0', check: oneOf('-1', '0', '1') },
+  };
+
+  const MODEL_2004 = {
+    'cmi._version': { access: 'r', value: () => '1.0' },
+    'cmi.learner_id': { access: 'r', value: (session) => session.learner.id },
+    'cmi.learner_name': { access: 'r', value: (session) => session.learner.name },
+    'cmi.location': { access: 'rw', check: maxLength(1000) },
+    'cmi.credit': { access: 'r', value: () => 'credit' },
+    'cmi.mode': { access: 'r', value: () => 'normal' },
+    'cmi.entry': { access: 'r', value: (session) => session.entry },
+    'cmi.exit': { access: 'w', check: oneOf('time-out', 'suspend', 'logout', 'normal', '') },
+    'cmi.completion_status': { access: 'rw', initial: 'unknown', check: oneOf('completed', 'incomplete', 'not attempted', 'unknown') },
+    'cmi.success_status': { access: 'rw', initial: 'unknown', check: oneOf('passed', 'failed', 'unknown') },
+    'cmi.score._children': { access: 'r', value: () => 'scaled,raw,min,max' },
+    'cmi.score.scaled': { access: 'rw', check: decimal(-1, 1) },
+    'cmi.score.raw': { access: 'rw', check: decimal() },
+    'cmi.score.min': { access: 'rw', check: decimal() },
+    'cmi.score.max': { access: 'rw', check: decimal() },
+    'cmi.progress_measure': { access: 'rw', check: decimal(0, 1) },
+    'cmi.scaled_passing_score': { access: 'r', value: (session) => (session.passingScore > 0 ? String(session.passingScore / 100) : null) },
+    'cmi.completion_threshold': { access: 'r', value: () => null },
+    'cmi.max_time_allowed': { access: 'r', value: () => null },
+    'cmi.time_limit_action': { access: 'r', value: () => 'continue,no message' },
+    'cmi.session_time': { access: 'w', check: (value) => DURATION_2004.test(value) },
+    'cmi.total_time': { access: 'r', value: (session) => formatTime(session.totalTime, true) },
+    'cmi.suspend_data': { access: 'rw', check: maxLength(64000) },
+    'cmi.launch_data': { access: 'r', value: () => null },
+    'cmi.learner_preference._children': { access: 'r', value: () => 'audio_level,language,delivery_speed,audio_captioning' },
+    'cmi.learner_preference.audio_level': { access: 'rw', initial: '1', check: decimal(0) },
+    'cmi.learner_preference.language': { access: 'rw', initial: '', check: maxLength(250) },
+    'cmi.learner_preference.delivery_speed': { access: 'rw', initial: '1', check: decimal(0) },
+    'cmi.learner_preference.audio_captioning': { access: 'rw', initial: '0', check: oneOf('-1', '0', '1') },
+  };
+
+  // Collections (cmi.<name>.n.<element>) and their children
+  const COLLECTIONS_12 = {
+    'cmi.objectives': 'id,score,status',
+    'cmi.interactions': 'id,objectives,time,type,correct_responses,weighting,student_response,result,latency',
+  };
+
+  const COLLECTIONS_2004 = {
+    'cmi.objectives': 'id,score,success_status,completion_status,progress_measure,description',
+    'cmi.interactions': 'id,type,objectives,timestamp,correct_responses,weighting,learner_response,result,latency,description',
+    'cmi.comments_from_learner': 'comment,location,timestamp',
+    'cmi.comments_from_lms': 'comment,location,timestamp',
+  };
+
+  /**
+   * Create the runtime of one launch of a SCORM package.
+   * @param {object} options
+   * @param {string} options.version - scormVersion of the node, e.g. '1.2' or '2004 4th Edition'
+   * @param {Object<string, string>} options.data - saved CMI data
+   * @param {{ id: string, name: string }} options.learner
+   * @param {number} options.passingScore - passing score of the node (%), 0 for none
+   * @param {function()} options.onInitialize - the package started tracking
+   * @param {function(Object<string, string>, boolean)} options.onCommit - save the CMI data; true when the package terminated
+   * @param {function({ completed: boolean, passed: boolean|null, score: number|null })} options.onResult - results after a commit
+   * @returns {{ name: string, api: object, initialized: function(): boolean, finish: function() }}
+   */
+  function create(options) {
+    const is2004 = !String(options.version || '').startsWith('1.2');
+    const model = is2004 ? MODEL_2004 : MODEL_12;
+    const collections = is2004 ? COLLECTIONS_2004 : COLLECTIONS_12;
+    const codes = is2004 ? CODES_2004 : CODES_12;
+    const errorStrings = is2004 ? ERROR_STRINGS_2004 : ERROR_STRINGS_12;
+    const prefix = is2004 ? 'cmi.' : 'cmi.core.';
+
+    const values = Object.assign({}, options.data);
+    // Learners who left with "suspend" resume where they were
+    const entry = values[`${prefix}exit`] === 'suspend' ? 'resume' : (Object.keys(values).length === 0 ? 'ab-initio' : '');
+    delete values[`${prefix}exit`];
+    const session = {
+      learner: options.learner,
+      passingScore: options.passingScore,
+      entry,
+      totalTime: parseTime(values[`${prefix}total_time`] || '', is2004) || 0,
+    };
+    delete values[`${prefix}total_time`];
+
+    let state = 'not initialized';
+    let lastError = 0;
+
+    function fail(code) {
+      lastError = code;
+      return 'false';
+    }
+
+    // GetValue returns an empty string on errors
+    function failGet(code) {
+      lastError = code;
+      return '';
+    }
+
+    function succeed(value) {
+      lastError = 0;
+      return value;
+    }
+
+    function initialize(param) {
+      if (param !== '' && param !== undefined) return fail(codes.argument);
+      if (state === 'running') return fail(codes.initialized);
+      if (state === 'terminated') return fail(codes.terminated);
+      state = 'running';
+      options.onInitialize();
+      return succeed('true');
+    }
+
+    function terminate(param) {
+      if (param !== '' && param !== undefined) return fail(codes.argument);
+      if (state === 'not initialized') return fail(codes.termBeforeInit);
+      if (state === 'terminated') return fail(codes.termAfterTerm);
+      finish();
+      return succeed('true');
+    }
+
+    function commit(param) {
+      if (param !== '' && param !== undefined) return fail(codes.argument);
+      if (state === 'not initialized') return fail(codes.commitBeforeInit);
+      if (state === 'terminated') return fail(codes.commitAfterTerm);
+      save(false);
+      return succeed('true');
+    }
+
+    function getValue(element) {
+      if (state === 'not initialized') return failGet(codes.getBeforeInit);
+      if (state === 'terminated') return failGet(codes.getAfterTerm);
+      element = String(element ?? '');
+      if (!element) return failGet(is2004 ? 301 : codes.argument);
+
+      const def = model[element];
+      if (def) {
+        if (def.access === 'w') return failGet(codes.writeOnly);
+        const value = def.value ? def.value(session) : (element in values ? values[element] : def.initial);
+        if (value === undefined || value === null) return failGet(codes.notSet);
+        return succeed(String(value));
+      }
+
+      const collection = collectionOf(element);
+      if (collection) {
+        const rest = element.slice(collection.length + 1);
+        if (rest === '_children') return succeed(collections[collection]);
+        if (rest === '_count') return succeed(String(countOf(collection)));
+        if (/^\d+\..+\._count$/.test(rest)) return succeed(String(countOf(element.slice(0, -'._count'.length))));
+        if (/^\d+\.score\._children$/.test(rest)) return succeed(is2004 ? 'scaled,raw,min,max' : 'raw,min,max');
+        if (/^\d+\..+$/.test(rest)) {
+          return element in values ? succeed(values[element]) : failGet(codes.notSet);
+        }
+      }
+      if (!is2004 && /\._(children|count)$/.test(element)) {
+        return failGet(element.endsWith('_children') ? 202 : 203);
+      }
+      return failGet(codes.undefinedElement);
+    }
+
+    function setValue(element, value) {
+      if (state === 'not initialized') return fail(codes.setBeforeInit);
+      if (state === 'terminated') return fail(codes.setAfterTerm);
+      element = String(element ?? '');
+      value = String(value ?? '');
+      if (!element) return fail(is2004 ? 351 : codes.argument);
+
+      if (/\._(children|count|version)$/.test(element)) return fail(codes.keyword);
+      const def = model[element];
+      if (def) {
+        if (def.access === 'r') return fail(codes.readOnly);
+        if (def.check && !def.check(value)) return fail(codes.typeMismatch);
+        values[element] = value;
+        return succeed('true');
+      }
+
+      const collection = collectionOf(element);
+      const match = collection && /^(\d+)\.(.+)$/.exec(element.slice(collection.length + 1));
+      if (match) {
+        if (collection === 'cmi.comments_from_lms') return fail(codes.readOnly);
+        // New entries must come right after the existing ones
+        if (Number(match[1]) > countOf(collection)) return fail(codes.setFailure);
+        if (value.length > 64000) return fail(codes.typeMismatch);
+        values[element] = value;
+        return succeed('true');
+      }
+      return fail(codes.undefinedElement);
+    }
+
+    function collectionOf(element) {
+      return Object.keys(collections).find((name) => element.startsWith(`${name}.`)) || null;
+    }
+
+    // Number of entries of a collection, e.g. cmi.interactions or cmi.interactions.0.objectives
+    function countOf(name) {
+      const pattern = new RegExp(`^${name.replace(/\./g, '\\.')}\\.(\\d+)\\.`);
+      const indexes = Object.keys(values).map((key) => pattern.exec(key)).filter(Boolean).map((m) => Number(m[1]));
+      return indexes.length > 0 ? Math.max(...indexes) + 1 : 0;
+    }
+
+    /**
+     * End the session: the package terminated, or the learner left the node
+     * without it doing so.
+     */
+    function finish() {
+      if (state !== 'running') return;
+      state = 'terminated';
+      if (!is2004 && (values['cmi.core.lesson_status'] || 'not attempted') === 'not attempted') {
+        // SCORM 1.2: the LMS decides the status the package didn't set
+        const raw = parseFloat(values['cmi.core.score.raw']);
+        if (values['cmi.core.exit'] === 'suspend') {
+          values['cmi.core.lesson_status'] = 'incomplete';
+        } else if (session.passingScore > 0 && !isNaN(raw)) {
+          values['cmi.core.lesson_status'] = raw >= session.passingScore ? 'passed' : 'failed';
+        } else {
+          values['cmi.core.lesson_status'] = 'completed';
+        }
+      }
+      const sessionTime = parseTime(values[`${prefix}session_time`] || '', is2004);
+      if (sessionTime) session.totalTime += sessionTime;
+      delete values[`${prefix}session_time`];
+      save(true);
+    }
+
+    function save(final) {
+      const data = {};
+      for (const [key, value] of Object.entries(values)) {
+        if (key !== `${prefix}session_time`) data[key] = value;
+      }
+      data[`${prefix}total_time`] = formatTime(session.totalTime, is2004);
+      options.onCommit(data, final);
+      options.onResult(results());
+    }
+
+    // What the package reported, for the node
+    function results() {
+      if (is2004) {
+        const success = values['cmi.success_status'];
+        const scaled = parseFloat(values['cmi.score.scaled']);
+        return {
+          completed: values['cmi.completion_status'] === 'completed',
+          passed: success === 'passed' ? true : success === 'failed' ? false : null,
+          score: !isNaN(scaled)
+            ? Math.round(scaled * 100)
+            : scorePercent(values['cmi.score.raw'], values['cmi.score.min'], values['cmi.score.max']),
+        };
+      }
+      const status = values['cmi.core.lesson_status'];
+      return {
+        completed: ['completed', 'passed', 'failed'].includes(status),
+        passed: status === 'passed' ? true : status === 'failed' ? false : null,
+        score: scorePercent(values['cmi.core.score.raw'], values['cmi.core.score.min'], values['cmi.core.score.max']),
+      };
+    }
+
+    const getLastError = () => String(lastError);
+    const getErrorString = (code) => errorStrings[Number(code)] || '';
+    const getDiagnostic = (code) => errorStrings[Number(code === '' || code === undefined ? lastError : code)] || '';
+
+    const api = is2004
+      ? {
+        Initialize: initialize,
+        Terminate: terminate,
+        GetValue: getValue,
+        SetValue: setValue,
+        Commit: commit,
+        GetLastError: getLastError,
+        GetErrorString: getErrorString,
+        GetDiagnostic: getDiagnostic,
+        version: '1.0',
+      }
+      : {
+        LMSInitialize: initialize,
+        LMSFinish: terminate,
+        LMSGetValue: getValue,
+        LMSSetValue: setValue,
+        LMSCommit: commit,
+        LMSGetLastError: getLastError,
+        LMSGetErrorString: getErrorString,
+        LMSGetDiagnostic: getDiagnostic,
+      };
+
+    return {
+      name: is2004 ? 'API_1484_11' : 'API',
+      api,
+      initialized: () => state !== 'not initialized',
+      finish,
+    };
+  }
+
+  // Score in % from raw, min and max; raw alone is taken as %
+  function scorePercent(raw, min, max) {
+    const r = parseFloat(raw);
+    if (isNaN(r)) return null;
+    const lo = parseFloat(min) || 0;
+    const hi = parseFloat(max);
+    const pct = !isNaN(hi) && hi > lo ? ((r - lo) / (hi - lo)) * 100 : r;
+    return Math.round(Math.min(100, Math.max(0, pct)));
+  }
+
+  // Time in seconds from a SCORM 1.2 timespan or a SCORM 2004 duration
+  function parseTime(value, is2004) {
+    if (!is2004) {
+      const m = TIMESPAN_12.exec(value);
+      return m ? Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]) + Number(m[4] || 0) : 0;
+    }
+    const m = DURATION_2004.exec(value);
+    if (!m || value === 'P') return 0;
+    const [years, months, days, hours, minutes, seconds] = m.slice(1).map((part) => Number(part || 0));
+    return ((years * 365 + months * 30 + days) * 24 + hours) * 3600 + minutes * 60 + seconds;
+  }
+
+  function formatTime(seconds, is2004) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = Math.round((seconds % 60) * 100) / 100;
+    if (is2004) return `PT${hours}H${minutes}M${secs}S`;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${String(hours).padStart(4, '0')}:${pad(minutes)}:${pad(Math.floor(secs))}${secs % 1 ? `.${String(Math.round((secs % 1) * 100)).padStart(2, '0')}` : ''}`;
+  }
+
+  window.LPScormRuntime = { create };
+})();
@@ -99,6 +99,48 @@ class LearningPathStorage {
     await fs.unlink(this._filePath(id));
   }
 
+  /**
+   * Put a deleted learning path back, e.g. from the trash. Fails with EEXIST
+   * if a learning path with the same id exists.
+   */
+  async restore(pathData) {
+    await this._ensureDir();
+    await fs.writeFile(this._filePath(pathData.id), JSON.stringify(pathData, null, 2), {
+      encoding: 'utf8',
+      flag: 'wx',
+    });
+    return pathData;
+  }
+
+  /**
+   * Learning paths with H5P nodes that use the given content.
+   * @returns {Promise<Array<{ id: string, title: string, nodes: Array<{ id: string, title: string }> }>>}
+   */
+  async findByContentId(contentId) {
+    await this._ensureDir();
+    const files = await fs.readdir(PATHS_DIR);
+    const result = [];
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const data = JSON.parse(await fs.readFile(path.join(PATHS_DIR, file), 'utf8'));
+        const nodes = (data.nodes || []).filter(
+          (node) => node.data && String(node.data.h5pContentId) === String(contentId)
+        );
+        if (nodes.length > 0) {
+          result.push({
+            id: data.id,
+            title: data.title,
+            nodes: nodes.map((node) => ({ id: node.id, title: node.data.title || node.type })),
+          });
+        }
+      } catch {
+        // skip corrupt files
+      }
+    }
+    return result;
+  }
+
   async duplicate(id) {
     const original = await this.get(id);
     return this.create({
@@ -48,7 +48,7 @@ const VERBS = {
     display: { 'en-US': 'terminated' },
   },
   satisfied: {
-    id: 'http://adlnet.gov/expapi/verbs/satisfied',
+    id: 'https://w3id.org/xapi/adl/verbs/satisfied',
     display: { 'en-US': 'satisfied' },
   },
   waived: {
@@ -156,6 +156,32 @@ function buildStatement({ user, verb, pathId, pathTitle, node, baseUrl, result,
   return statement;
 }
 
+/**
+ * Prepare a statement that content sent itself (e.g. H5P content in a node)
+ * for the LRS: the actor is the logged-in user, and the learning path is
+ * added to the grouping context activities.
+ */
+function buildForwardedStatement({ statement, user, pathId, pathTitle, baseUrl }) {
+  const { authority, stored, ...rest } = statement;
+  const context = rest.context || {};
+  const contextActivities = context.contextActivities || {};
+  return {
+    ...rest,
+    actor: buildActor(user),
+    context: {
+      ...context,
+      contextActivities: {
+        ...contextActivities,
+        grouping: [].concat(
+          contextActivities.grouping || [],
+          buildPathContext(pathId, pathTitle, baseUrl).contextActivities.grouping
+        ),
+      },
+    },
+    timestamp: rest.timestamp || new Date().toISOString(),
+  };
+}
+
 /**
  * Send an xAPI statement to an LRS.
  * @param {Object} lrsConfig - { endpoint, key, secret }
@@ -261,6 +287,7 @@ module.exports = {
   buildActivity,
   buildPathContext,
   buildStatement,
+  buildForwardedStatement,
   sendStatement,
   sendStatements,
 };
@@ -0,0 +1,87 @@
+/**
+ * Minimal XML reader for package manifests (imsmanifest.xml, cmi5.xml).
+ * Reads elements, attributes and text; namespace prefixes are dropped from
+ * element and attribute names, so `<adlcp:masteryscore>` is `masteryscore`.
+ * Not a validating parser: DTDs and processing instructions are skipped.
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#\d+|\w+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+// Name without namespace prefix, e.g. "adlcp:scormtype" -> "scormtype"
+function localName(name) {
+  const colon = name.indexOf(':');
+  return colon === -1 ? name : name.slice(colon + 1);
+}
+
+/**
+ * Parse an XML document.
+ * @param {string} text
+ * @returns {{ name: string, attributes: Object<string, string>, children: Object[], text: string }} the root element
+ */
+function parseXml(text) {
+  const root = { name: '', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  const tokens = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<![^>]*>|<\?[\s\S]*?\?>|<\/([^\s>]+)\s*>|<([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let match;
+  while ((match = tokens.exec(text))) {
+    const [, cdata, closeName, openName, attrText, selfClosing, chars] = match;
+    const current = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (chars !== undefined) {
+      current.text += decodeEntities(chars);
+    } else if (closeName !== undefined) {
+      if (stack.length === 1 || current.name !== localName(closeName)) {
+        throw new Error(`Malformed XML: unexpected </${closeName}>`);
+      }
+      stack.pop();
+    } else if (openName !== undefined) {
+      const element = { name: localName(openName), attributes: {}, children: [], text: '' };
+      const attributes = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+      let attr;
+      while ((attr = attributes.exec(attrText))) {
+        element.attributes[localName(attr[1])] = decodeEntities(attr[2] ?? attr[3]);
+      }
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+    // Comments, DTDs and processing instructions are skipped
+  }
+  if (stack.length !== 1 || root.children.length !== 1) {
+    throw new Error('Malformed XML: the document must have exactly one root element');
+  }
+  return root.children[0];
+}
+
+/**
+ * First child element with the given (local) name, or null.
+ */
+function child(element, name) {
+  return (element && element.children.find((c) => c.name === name)) || null;
+}
+
+/**
+ * All child elements with the given (local) name.
+ */
+function children(element, name) {
+  return element ? element.children.filter((c) => c.name === name) : [];
+}
+
+/**
+ * Trimmed text of an element, empty if there is none.
+ */
+function textOf(element) {
+  return element ? element.text.trim() : '';
+}
+
+module.exports = { parseXml, child, children, textOf };
@@ -0,0 +1,115 @@
+// Parts of the texts with more than about twice this many changed lines
+// aren't compared line by line but shown as removed and added as a whole,
+// which keeps the time for very different revisions bounded
+const MAX_EDIT_DISTANCE = 5000;
+
+/**
+ * Line based diff of two texts, used to compare revisions of content
+ * parameters.
+ *
+ * Uses Myers' linear space algorithm (An O(ND) Difference Algorithm and Its
+ * Variations, 1986): the memory needed grows with the number of lines, not
+ * with their product, so large revisions can be compared as well.
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {Array<{ type: 'same'|'added'|'removed', text: string }>}
+ */
+function diffLines(oldText, newText) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+  const result = [];
+  diffRange(a, 0, a.length, b, 0, b.length, result);
+  return result;
+}
+
+/**
+ * Diff a[aStart..aEnd) against b[bStart..bEnd), appending to result.
+ */
+function diffRange(a, aStart, aEnd, b, bStart, bEnd, result) {
+  // Equal lines at the start and the end are skipped first
+  let prefixEnd = aStart;
+  while (prefixEnd < aEnd && bStart + prefixEnd - aStart < bEnd && a[prefixEnd] === b[bStart + prefixEnd - aStart]) {
+    prefixEnd++;
+  }
+  for (let i = aStart; i < prefixEnd; i++) result.push({ type: 'same', text: a[i] });
+  bStart += prefixEnd - aStart;
+  aStart = prefixEnd;
+  let suffix = 0;
+  while (aEnd - suffix > aStart && bEnd - suffix > bStart && a[aEnd - suffix - 1] === b[bEnd - suffix - 1]) suffix++;
+  aEnd -= suffix;
+  bEnd -= suffix;
+
+  if (aStart === aEnd || bStart === bEnd) {
+    for (let i = aStart; i < aEnd; i++) result.push({ type: 'removed', text: a[i] });
+    for (let j = bStart; j < bEnd; j++) result.push({ type: 'added', text: b[j] });
+  } else {
+    const snake = middleSnake(a, aStart, aEnd, b, bStart, bEnd);
+    if (snake) {
+      diffRange(a, aStart, snake.x, b, bStart, snake.y, result);
+      for (let i = snake.x; i < snake.u; i++) result.push({ type: 'same', text: a[i] });
+      diffRange(a, snake.u, aEnd, b, snake.v, bEnd, result);
+    } else {
+      for (let i = aStart; i < aEnd; i++) result.push({ type: 'removed', text: a[i] });
+      for (let j = bStart; j < bEnd; j++) result.push({ type: 'added', text: b[j] });
+    }
+  }
+
+  for (let i = aEnd; i < aEnd + suffix; i++) result.push({ type: 'same', text: a[i] });
+}
+
+/**
+ * The middle snake of a shortest edit script: the run of equal lines
+ * a[x..u) = b[y..v) in its middle, found by searching from both ends at once.
+ * Null if it isn't found within MAX_EDIT_DISTANCE steps from each end.
+ * @returns {{ x: number, y: number, u: number, v: number }|null} absolute indexes
+ */
+function middleSnake(a, aStart, aEnd, b, bStart, bEnd) {
+  const n = aEnd - aStart;
+  const m = bEnd - bStart;
+  const delta = n - m;
+  const odd = (delta & 1) === 1;
+  const max = Math.min(Math.ceil((n + m) / 2), MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  // Furthest x reached on each diagonal k = x - y, forward and backward
+  const forward = new Int32Array(2 * max + 3);
+  const backward = new Int32Array(2 * max + 3);
+
+  for (let d = 0; d <= max; d++) {
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1])
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const x0 = x;
+      const y0 = y;
+      while (x < n && y < m && a[aStart + x] === b[bStart + y]) {
+        x++;
+        y++;
+      }
+      forward[offset + k] = x;
+      // Backward diagonal delta - k, searched d - 1 times so far
+      if (odd && k >= delta - (d - 1) && k <= delta + (d - 1) && x + backward[offset + delta - k] >= n) {
+        return { x: aStart + x0, y: bStart + y0, u: aStart + x, v: bStart + y };
+      }
+    }
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1])
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      let y = x - k;
+      const x0 = x;
+      const y0 = y;
+      while (x < n && y < m && a[aEnd - 1 - x] === b[bEnd - 1 - y]) {
+        x++;
+        y++;
+      }
+      backward[offset + k] = x;
+      if (!odd && delta - k >= -d && delta - k <= d && x + forward[offset + delta - k] >= n) {
+        return { x: aEnd - x, y: bEnd - y, u: aEnd - x0, v: bEnd - y0 };
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = { diffLines };
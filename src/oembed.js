@@ -0,0 +1,85 @@
+const express = require('express');
+const contentIndex = require('./contentIndex');
+
+const DEFAULT_WIDTH = 800;
+const DEFAULT_HEIGHT = 600;
+
+/**
+ * Absolute URL of the oEmbed endpoint for a content page, used in the
+ * discovery <link> of the play and embed pages of content that may be
+ * embedded.
+ */
+function oEmbedUrl(req, contentId) {
+  const base = `${req.protocol}://${req.get('host')}`;
+  return `${base}/oembed?format=json&url=${encodeURIComponent(`${base}/play/${contentId}`)}`;
+}
+
+/**
+ * Creates the oEmbed endpoint (https://oembed.com), so LMSs and wikis can
+ * turn a link to /play/:id or /embed/:id into an embedded player.
+ *
+ * The endpoint is public, because oEmbed consumers fetch it from their
+ * server. It only answers for content that an author has allowed to be
+ * embedded; the iframe it returns has a signed embed URL, which plays the
+ * content without a login (see embedAccess.js). Other content is a 404, so
+ * neither its title nor a signature is given away.
+ * @param {ReturnType<import('./embedAccess').createEmbedSigner>} embedSigner
+ * @returns {express.Router}
+ */
+function createOEmbedRoutes(embedSigner) {
+  const router = express.Router();
+
+  router.get('/oembed', async (req, res) => {
+    try {
+      const format = req.query.format || 'json';
+      if (format !== 'json') {
+        return res.status(501).json({ error: `Format "${format}" is not supported, only json` });
+      }
+      let url;
+      try {
+        url = new URL(String(req.query.url || ''));
+      } catch (err) {
+        return res.status(400).json({ error: 'url must be the URL of an H5P content page' });
+      }
+      const match = /^\/(?:play|embed)\/([\w-]+)\/?$/.exec(url.pathname);
+      const entry = match && url.host === req.get('host') ? await contentIndex.get(match[1]) : null;
+      if (!entry || !entry.embeddable) {
+        return res.status(404).json({ error: 'No embeddable H5P content at this URL' });
+      }
+
+      const limit = (value, fallback) => {
+        const max = parseInt(value, 10);
+        return max > 0 ? Math.min(max, fallback) : fallback;
+      };
+      const width = limit(req.query.maxwidth, DEFAULT_WIDTH);
+      const height = limit(req.query.maxheight, DEFAULT_HEIGHT);
+      const base = `${req.protocol}://${req.get('host')}`;
+      res.json({
+        version: '1.0',
+        type: 'rich',
+        provider_name: 'MyH5P Player',
+        provider_url: `${base}/`,
+        title: entry.title,
+        width,
+        height,
+        html: `<iframe src="${base}/embed/${encodeURIComponent(entry.id)}?sig=${embedSigner.sign(entry.id)}" width="${width}" height="${height}" `
+          + `title="${escapeHtml(entry.title)}" frameborder="0" allow="fullscreen" allowfullscreen></iframe>`
+          + `<script src="${base}/static/resize-parent.js" async></script>`,
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  return router;
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+module.exports = { createOEmbedRoutes, oEmbedUrl };
@@ -1,72 +1,135 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { pipeline } = require('stream');
 const express = require('express');
+const { importPackage, formatImportError } = require('./importPackage');
+const { collectUploadedPackages, importPackages } = require('./bulkImport');
+const { parseListQuery, queryContent, DEFAULT_PAGE_SIZE } = require('./contentList');
+const contentIndex = require('./contentIndex');
+const contentHistory = require('./contentHistory');
+const trash = require('./trash');
+const copyContent = require('./copyContent');
+const pathStorage = require('./learningPath/storage');
+const { diffLines } = require('./lineDiff');
+const { contentFilename, zipPackages } = require('./downloadPackages');
+const { oEmbedUrl } = require('./oembed');
+const { can, requirePermission } = require('./auth/permissions');
 
 /**
- * Creates Express routes for H5P content management (list, play, edit, new, delete).
+ * Creates Express routes for H5P content management (list, play, edit, new, upload, delete, export, download).
  * @param {import('@lumieducation/h5p-server').H5PEditor} h5pEditor
  * @param {import('@lumieducation/h5p-server').H5PPlayer} h5pPlayer
  * @param {string} languageOverride
+ * @param {import('@lumieducation/h5p-html-exporter').default} htmlExporter
+ * @param {import('@lumieducation/h5p-server').PackageExporter} packageExporter
+ * @param {import('@lumieducation/h5p-server').H5PPlayer} embedPlayer - player for guests of signed embed frames
  * @returns {express.Router}
  */
-function createRoutes(h5pEditor, h5pPlayer, languageOverride) {
+function createRoutes(h5pEditor, h5pPlayer, languageOverride, htmlExporter, packageExporter, embedPlayer) {
   const router = express.Router();
 
   function getLang(req) {
     return languageOverride === 'auto' ? (req.language || 'en') : languageOverride;
   }
 
-  // --- Homepage: list all content ---
+  // --- Homepage: search, filter, sort and paginate content ---
   router.get('/', async (req, res) => {
     try {
-      const contentIds = await h5pEditor.contentManager.listContent(req.user);
-      const contentList = [];
-      for (const id of contentIds) {
-        try {
-          const metadata = await h5pEditor.contentManager.getContentMetadata(id, req.user);
-          contentList.push({ id, title: metadata.title || `Content ${id}` });
-        } catch {
-          contentList.push({ id, title: `Content ${id}` });
-        }
-      }
-      res.send(renderListPage(contentList));
+      const query = parseListQuery(req.query);
+      const result = queryContent(await contentIndex.list(), query);
+      res.send(renderListPage(result, query, req.user));
     } catch (err) {
       res.status(500).send(renderErrorPage('Error', err.message));
     }
   });
 
+  // --- JSON API: same query options as the homepage ---
+  router.get('/api/content', async (req, res) => {
+    try {
+      const query = parseListQuery(req.query);
+      res.json(queryContent(await contentIndex.list(), query));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Renders the H5P player page that is shown inside an iframe
+  function renderPlayer(req, contentId, showDownloadButton) {
+    return (req.embedGuest ? embedPlayer : h5pPlayer).render(
+      contentId,
+      req.user,
+      getLang(req),
+      {
+        showCopyButton: false,
+        showDownloadButton,
+        showFrame: true,
+        showH5PIcon: false,
+        showLicenseButton: true,
+        // Guests of signed embed frames can't save their state
+        readOnlyState: !!req.embedGuest,
+      }
+    );
+  }
+
   // --- Play content ---
   router.get('/play/:contentId', async (req, res) => {
     try {
       const { contentId } = req.params;
-      const playerModel = await h5pPlayer.render(
-        contentId,
-        req.user,
-        getLang(req),
-        {
-          showCopyButton: false,
-          showDownloadButton: true,
-          showFrame: true,
-          showH5PIcon: false,
-          showLicenseButton: true,
-        }
-      );
-      res.send(renderPlayerPage(playerModel));
+      const entry = await contentIndex.get(contentId);
+      if (!entry) {
+        return res.status(404).send(renderErrorPage('Not found', `Content ${contentId} does not exist.`));
+      }
+      res.send(renderPlayerPage(contentId, entry.embeddable ? oEmbedUrl(req, contentId) : null));
+    } catch (err) {
+      res.status(500).send(renderErrorPage('Error playing content', err.message));
+    }
+  });
+
+  // --- The H5P player itself, loaded in the iframe of the play page ---
+  router.get('/play/:contentId/frame', async (req, res) => {
+    try {
+      const { contentId } = req.params;
+      if (!(await contentIndex.get(contentId))) {
+        return res.status(404).send(renderErrorPage('Not found', `Content ${contentId} does not exist.`));
+      }
+      res.send(await renderPlayer(req, contentId, true));
+    } catch (err) {
+      res.status(500).send(renderErrorPage('Error playing content', err.message));
+    }
+  });
+
+  // --- Embed content: only the H5P frame, for iframes in learning paths and other sites ---
+  router.get('/embed/:contentId', async (req, res) => {
+    try {
+      const { contentId } = req.params;
+      const entry = await contentIndex.get(contentId);
+      if (!entry) {
+        return res.status(404).send(renderErrorPage('Not found', `Content ${contentId} does not exist.`));
+      }
+      const playerModel = await renderPlayer(req, contentId, false);
+      res.send(renderEmbedPage(playerModel, entry.embeddable ? oEmbedUrl(req, contentId) : null));
     } catch (err) {
       res.status(500).send(renderErrorPage('Error playing content', err.message));
     }
   });
 
   // --- New content form ---
-  router.get('/new', async (req, res) => {
+  router.get('/new', requirePermission('content:create'), (req, res) => {
+    res.send(renderEditorPage(frameUrl(req), 'Create New Content'));
+  });
+
+  // --- The H5P editor itself, loaded in the iframe of the new content page ---
+  router.get('/new/frame', requirePermission('content:create'), async (req, res) => {
     try {
-      const editorModel = await h5pEditor.render(undefined, getLang(req), req.user);
-      res.send(renderEditorPage(editorModel, 'Create New Content'));
+      res.send(await h5pEditor.render(undefined, getLang(req), req.user));
     } catch (err) {
       res.status(500).send(renderErrorPage('Error loading editor', err.message));
     }
   });
 
-  // --- Save new content (AJAX JSON POST from the default renderer) ---
-  router.post('/new', async (req, res) => {
+  // --- Save new content (AJAX JSON POST from the editor frame) ---
+  router.post(['/new', '/new/frame'], requirePermission('content:create'), async (req, res) => {
     try {
       const { library, params } = req.body;
       if (!library || !params) {
@@ -79,31 +142,102 @@ function createRoutes(h5pEditor, h5pPlayer, languageOverride) {
         library,
         req.user
       );
+      await contentIndex.update(h5pEditor, content.id);
+      await contentHistory.record(h5pEditor, content.id, req.user, 'created');
       res.json({ contentId: content.id });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   });
 
+  // --- Import an uploaded .h5p package as new content ---
+  router.post('/upload', requirePermission('content:create'), async (req, res) => {
+    const file = req.files && req.files.file;
+    try {
+      if (!file) {
+        return res.status(400).send(renderErrorPage('Error importing package', 'No file was uploaded.'));
+      }
+      if (path.extname(file.name).toLowerCase() !== '.h5p') {
+        return res.status(400).send(renderErrorPage(
+          'Error importing package',
+          `"${file.name}" is not a .h5p package.`
+        ));
+      }
+      const { contentId } = await importPackage(h5pEditor, file.tempFilePath, req.user);
+      res.redirect(`/play/${contentId}`);
+    } catch (err) {
+      const status = err.httpStatusCode >= 400 && err.httpStatusCode < 500 ? err.httpStatusCode : 500;
+      res.status(status).send(renderErrorPage('Error importing package', formatImportError(err, req.t)));
+    } finally {
+      if (file && file.tempFilePath) {
+        await fs.unlink(file.tempFilePath).catch(() => {});
+      }
+    }
+  });
+
+  // --- Batch import of many .h5p packages or zip archives of packages ---
+  router.post('/import', requirePermission('content:create'), async (req, res) => {
+    const wantsJson = req.accepts(['html', 'json']) === 'json';
+    const files = [].concat((req.files && req.files.files) || []);
+    let workDir;
+    try {
+      if (files.length === 0) {
+        const message = 'No files were uploaded.';
+        return wantsJson
+          ? res.status(400).json({ error: message })
+          : res.status(400).send(renderErrorPage('Error importing packages', message));
+      }
+      workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'h5p-import-'));
+      const packages = await collectUploadedPackages(files, workDir);
+      const report = await importPackages(h5pEditor, packages, req.user, req.t);
+      if (wantsJson) return res.json(report);
+      res.send(renderImportReportPage(report));
+    } catch (err) {
+      if (wantsJson) return res.status(500).json({ error: err.message });
+      res.status(500).send(renderErrorPage('Error importing packages', err.message));
+    } finally {
+      if (workDir) await fs.rm(workDir, { recursive: true, force: true });
+      for (const file of files) {
+        await fs.unlink(file.tempFilePath).catch(() => {});
+      }
+    }
+  });
+
   // --- Edit existing content ---
-  router.get('/edit/:contentId', async (req, res) => {
+  router.get('/edit/:contentId', requirePermission('content:edit'), async (req, res) => {
     try {
       const { contentId } = req.params;
-      const editorModel = await h5pEditor.render(contentId, getLang(req), req.user);
-      res.send(renderEditorPage(editorModel, 'Edit Content'));
+      if (!(await contentIndex.get(contentId))) {
+        return res.status(404).send(renderErrorPage('Not found', `Content ${contentId} does not exist.`));
+      }
+      res.send(renderEditorPage(frameUrl(req), 'Edit Content'));
     } catch (err) {
       res.status(500).send(renderErrorPage('Error loading editor', err.message));
     }
   });
 
-  // --- Save edited content (AJAX JSON POST from the default renderer) ---
-  router.post('/edit/:contentId', async (req, res) => {
+  // --- The H5P editor itself, loaded in the iframe of the edit page ---
+  router.get('/edit/:contentId/frame', requirePermission('content:edit'), async (req, res) => {
+    try {
+      const { contentId } = req.params;
+      if (!(await contentIndex.get(contentId))) {
+        return res.status(404).send(renderErrorPage('Not found', `Content ${contentId} does not exist.`));
+      }
+      res.send(await h5pEditor.render(contentId, getLang(req), req.user));
+    } catch (err) {
+      res.status(500).send(renderErrorPage('Error loading editor', err.message));
+    }
+  });
+
+  // --- Save edited content (AJAX JSON POST from the editor frame) ---
+  router.post(['/edit/:contentId', '/edit/:contentId/frame'], requirePermission('content:edit'), async (req, res) => {
     try {
       const { contentId } = req.params;
       const { library, params } = req.body;
       if (!library || !params) {
         return res.status(400).json({ error: 'Missing library or params' });
       }
+      await contentHistory.recordInitial(h5pEditor, contentId, req.user);
       await h5pEditor.saveOrUpdateContentReturnMetaData(
         contentId,
         params.params,
@@ -111,17 +245,191 @@ function createRoutes(h5pEditor, h5pPlayer, languageOverride) {
         library,
         req.user
       );
+      await contentIndex.update(h5pEditor, contentId);
+      await contentHistory.record(h5pEditor, contentId, req.user, 'edited');
       res.json({ contentId });
     } catch (err) {
       res.status(500).json({ error: err.message });
     }
   });
 
+  // --- Copy content, e.g. to start a variant of it ---
+  router.post('/copy/:contentId', requirePermission('content:create'), async (req, res) => {
+    try {
+      const original = await contentIndex.get(req.params.contentId);
+      if (!original) {
+        return res.status(404).send(renderErrorPage('Not found', `Content ${req.params.contentId} does not exist.`));
+      }
+      await copyContent(h5pEditor, original.id, req.user);
+      res.redirect(original.folder ? `/?folder=${encodeURIComponent(original.folder)}` : '/');
+    } catch (err) {
+      res.status(500).send(renderErrorPage('Error copying content', err.message));
+    }
+  });
+
+  // --- Move content to a folder and set its tags ---
+  router.get('/organize/:contentId', requirePermission('content:edit'), async (req, res) => {
+    try {
+      const items = await contentIndex.list();
+      const entry = items.find((item) => item.id === req.params.contentId);
+      if (!entry) {
+        return res.status(404).send(renderErrorPage('Not found', `Content ${req.params.contentId} does not exist.`));
+      }
+      const result = queryContent(items, parseListQuery({}));
+      res.send(renderOrganizePage(entry, result.facets));
+    } catch (err) {
+      res.status(500).send(renderErrorPage('Error', err.message));
+    }
+  });
+
+  router.post('/organize/:contentId', requirePermission('content:edit'), async (req, res) => {
+    const wantsJson = req.accepts(['html', 'json']) === 'json';
+    try {
+      const { embeddable } = req.body;
+      const entry = await contentIndex.organize(req.params.contentId, {
+        folder: req.body.folder,
+        tags: req.body.tags,
+        embeddable: embeddable === undefined ? undefined : embeddable === true || embeddable === 'true',
+      });
+      if (wantsJson) return res.json(entry);
+      res.redirect(entry.folder ? `/?folder=${encodeURIComponent(entry.folder)}` : '/');
+    } catch (err) {
+      const status = err.code === 'ENOENT' ? 404 : 500;
+      if (wantsJson) return res.status(status).json({ error: err.message });
+      res.status(status).send(renderErrorPage('Error organizing content', err.message));
+    }
+  });
+
+  // --- Learning paths that use the content ---
+  router.get('/usage/:contentId', async (req, res) => {
+    try {
+      const { contentId } = req.params;
+      const entry = await contentIndex.get(contentId);
+      if (!entry) {
+        return res.status(404).send(renderErrorPage('Not found', `Content ${contentId} does not exist.`));
+      }
+      res.send(renderUsagePage(entry, await pathStorage.findByContentId(contentId), req.user));
+    } catch (err) {
+      res.status(500).send(renderErrorPage('Error', err.message));
+    }
+  });
+
+  // --- Revision history ---
+  router.get('/history/:contentId', requirePermission('content:edit'), async (req, res) => {
+    try {
+      const { contentId } = req.params;
+      const entry = await contentIndex.get(contentId);
+      if (!entry) {
+        return res.status(404).send(renderErrorPage('Not found', `Content ${contentId} does not exist.`));
+      }
+      res.send(renderHistoryPage(entry, await contentHistory.list(contentId)));
+    } catch (err) {
+      res.status(500).send(renderErrorPage('Error loading history', err.message));
+    }
+  });
+
+  router.get('/history/:contentId/diff', requirePermission('content:edit'), async (req, res) => {
+    try {
+      const { contentId } = req.params;
+      const [from, to] = [req.query.from, req.query.to].map(Number).sort((a, b) => a - b);
+      const older = await contentHistory.get(contentId, from);
+      const newer = await contentHistory.get(contentId, to);
+      if (!older || !newer) {
+        return res.status(404).send(renderErrorPage('Not found', 'Select two existing revisions to compare.'));
+      }
+      const diff = diffLines(
+        JSON.stringify({ library: older.library, metadata: older.metadata, params: older.params }, null, 2),
+        JSON.stringify({ library: newer.library, metadata: newer.metadata, params: newer.params }, null, 2)
+      );
+      res.send(renderDiffPage(contentId, older, newer, diff));
+    } catch (err) {
+      res.status(500).send(renderErrorPage('Error comparing revisions', err.message));
+    }
+  });
+
+  router.post('/history/:contentId/restore/:revision', requirePermission('content:edit'), async (req, res) => {
+    try {
+      const { contentId, revision } = req.params;
+      await contentHistory.restore(h5pEditor, contentId, revision, req.user);
+      await contentIndex.update(h5pEditor, contentId);
+      res.redirect(`/history/${encodeURIComponent(contentId)}`);
+    } catch (err) {
+      const status = err.code === 'ENOENT' ? 404 : 500;
+      res.status(status).send(renderErrorPage('Error restoring revision', err.message));
+    }
+  });
+
+  // --- Export content as a single self-contained HTML file ---
+  router.get('/export-html/:contentId', async (req, res) => {
+    try {
+      const { contentId } = req.params;
+      if (!(await contentIndex.get(contentId))) {
+        return res.status(404).send(renderErrorPage('Not found', `Content ${contentId} does not exist.`));
+      }
+      const metadata = await h5pEditor.contentManager.getContentMetadata(contentId, req.user);
+      const html = await htmlExporter.createSingleBundle(contentId, req.user, {
+        language: getLang(req),
+        showLicenseButton: true,
+      });
+      res.attachment(contentFilename(metadata.title, contentId, 'html'));
+      res.type('html').send(html);
+    } catch (err) {
+      res.status(500).send(renderErrorPage('Error exporting content', err.message));
+    }
+  });
+
+  // --- Download content as .h5p package ---
+  router.get('/download/:contentId', async (req, res) => {
+    try {
+      const entry = await contentIndex.get(req.params.contentId);
+      if (!entry) {
+        return res.status(404).send(renderErrorPage('Not found', `Content ${req.params.contentId} does not exist.`));
+      }
+      res.attachment(contentFilename(entry.title, entry.id, 'h5p'));
+      await packageExporter.createPackage(entry.id, res, req.user);
+    } catch (err) {
+      if (res.headersSent) return res.destroy(err);
+      // Otherwise the browser would save the error page as the package
+      res.removeHeader('Content-Disposition');
+      res.status(500).send(renderErrorPage('Error downloading content', err.message));
+    }
+  });
+
+  // --- Download several .h5p packages in one zip file ---
+  router.post('/download', async (req, res) => {
+    const ids = [].concat(req.body.contentIds || []).map(String);
+    if (ids.length === 0) {
+      return res.status(400).send(renderErrorPage('Nothing to download', 'Select the content you want to download.'));
+    }
+    try {
+      for (const id of ids) {
+        if (!(await contentIndex.get(id))) {
+          return res.status(404).send(renderErrorPage('Not found', `Content ${id} does not exist.`));
+        }
+      }
+      const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'h5p-download-'));
+      res.on('close', () => fs.rm(workDir, { recursive: true, force: true }).catch(() => {}));
+      const zip = await zipPackages(packageExporter, [...new Set(ids)], req.user, workDir);
+      res.attachment(`h5p-content-${new Date().toISOString().slice(0, 10)}.zip`);
+      // A broken zip stream ends the download, it can't become an error page anymore
+      pipeline(zip, res, (err) => {
+        if (err) res.destroy(err);
+      });
+    } catch (err) {
+      res.status(500).send(renderErrorPage('Error downloading content', err.message));
+    }
+  });
+
   // --- Delete content ---
-  router.post('/delete/:contentId', async (req, res) => {
+  router.post('/delete/:contentId', requirePermission('content:delete'), async (req, res) => {
     try {
       const { contentId } = req.params;
-      await h5pEditor.deleteContent(contentId, req.user);
+      const usedBy = await pathStorage.findByContentId(contentId);
+      if (usedBy.length > 0 && !req.body.confirm) {
+        const entry = (await contentIndex.get(contentId)) || { id: contentId, title: `Content ${contentId}` };
+        return res.status(409).send(renderDeleteWarningPage(entry, usedBy));
+      }
+      await trash.trashContent(h5pEditor, contentId, req.user);
       res.redirect('/');
     } catch (err) {
       res.status(500).send(renderErrorPage('Error deleting content', err.message));
@@ -131,6 +439,15 @@ function createRoutes(h5pEditor, h5pPlayer, languageOverride) {
   return router;
 }
 
+/**
+ * URL of the frame route of a page, e.g. /edit/123/frame?lang=de for
+ * /edit/123?lang=de.
+ */
+function frameUrl(req) {
+  const [pathname, search] = req.originalUrl.split('?');
+  return `${pathname.replace(/\/$/, '')}/frame${search ? `?${search}` : ''}`;
+}
+
 // --- HTML Rendering Helpers ---
 
 function escapeHtml(str) {
@@ -148,6 +465,9 @@ const NAV = `
       <div class="d-flex gap-2">
         <a href="/" class="btn btn-outline-light btn-sm">H5P Content</a>
         <a href="/learning-paths" class="btn btn-outline-info btn-sm">Learning Paths</a>
+        <form method="post" action="/logout" class="d-inline">
+          <button type="submit" class="btn btn-outline-secondary btn-sm">Log out</button>
+        </form>
       </div>
     </div>
   </nav>`;
@@ -174,24 +494,82 @@ function renderErrorPage(title, message) {
 </html>`;
 }
 
-function renderListPage(contentList) {
-  const items = contentList.length > 0
-    ? contentList
+function renderListPage(result, query, user) {
+  const filtersActive = query.q || query.tag || query.library || query.author || query.license;
+  const folderLink = (folder) => (folder ? `/?folder=${encodeURIComponent(folder)}` : '/');
+  const tagBadges = (tags) => (tags || [])
+    .map((tag) => `<a href="/?tag=${encodeURIComponent(tag)}" class="badge text-bg-light text-decoration-none">${escapeHtml(tag)}</a>`)
+    .join(' ');
+
+  const folderRows = result.subfolders
+    .map(
+      (f) =>
+        `<tr>
+              <td></td>
+              <td colspan="3"><a href="${escapeHtml(folderLink(f.path))}" class="text-decoration-none">&#128193; ${escapeHtml(f.name)}</a> <span class="text-muted small">(${f.count})</span></td>
+              <td></td>
+            </tr>`
+    )
+    .join('\n');
+
+  const items = result.items.length > 0
+    ? result.items
         .map(
           (c) =>
             `<tr>
-              <td>${escapeHtml(c.title)}</td>
+              <td><input type="checkbox" name="contentIds" value="${escapeHtml(c.id)}" form="download-selected" class="form-check-input" aria-label="Select ${escapeHtml(c.title)}"></td>
+              <td>
+                ${escapeHtml(c.title)}
+                ${filtersActive && c.folder ? `<div class="small"><a href="${escapeHtml(folderLink(c.folder))}" class="text-muted">&#128193; ${escapeHtml(c.folder)}</a></div>` : ''}
+                <div>${tagBadges(c.tags)}</div>
+              </td>
+              <td class="text-muted small">${escapeHtml(c.mainLibrary)}</td>
+              <td class="text-muted small">${c.updatedAt ? new Date(c.updatedAt).toLocaleDateString() : ''}</td>
               <td class="text-end">
                 <a href="/play/${c.id}" class="btn btn-primary btn-sm">Play</a>
-                <a href="/edit/${c.id}" class="btn btn-secondary btn-sm">Edit</a>
-                <form method="post" action="/delete/${c.id}" class="d-inline" onsubmit="return confirm('Delete this content?')">
+                <a href="/download/${c.id}" class="btn btn-outline-secondary btn-sm" title="Download as .h5p package">Download</a>
+                <a href="/export-html/${c.id}" class="btn btn-outline-secondary btn-sm" title="Download as a single HTML file that works without a server">Export HTML</a>
+                <a href="/usage/${c.id}" class="btn btn-outline-secondary btn-sm" title="Learning paths that use this content">Where used</a>
+                ${can(user, 'content:edit') ? `<a href="/edit/${c.id}" class="btn btn-secondary btn-sm">Edit</a>
+                <a href="/organize/${c.id}" class="btn btn-outline-secondary btn-sm" title="Folder and tags">Organize</a>
+                <a href="/history/${c.id}" class="btn btn-outline-secondary btn-sm">History</a>` : ''}
+                ${can(user, 'content:create') ? `<form method="post" action="/copy/${c.id}" class="d-inline">
+                  <button type="submit" class="btn btn-outline-secondary btn-sm">Copy</button>
+                </form>` : ''}
+                ${can(user, 'content:delete') ? `<form method="post" action="/delete/${c.id}" class="d-inline" onsubmit="return confirm('Move this content to the trash?')">
                   <button type="submit" class="btn btn-danger btn-sm">Delete</button>
-                </form>
+                </form>` : ''}
               </td>
             </tr>`
         )
         .join('\n')
-    : '<tr><td colspan="2" class="text-center text-muted">No content yet. Click "+ New Content" to create some!</td></tr>';
+    : filtersActive
+      ? '<tr><td colspan="5" class="text-center text-muted">No content matches your search.</td></tr>'
+      : result.subfolders.length > 0 || query.folder
+        ? ''
+        : `<tr><td colspan="5" class="text-center text-muted">No content yet.${can(user, 'content:create') ? ' Click "+ New Content" to create some!' : ''}</td></tr>`;
+
+  const options = (values, selected, allLabel) =>
+    `<option value="">${allLabel}</option>` + values
+      .map((v) => `<option value="${escapeHtml(v)}" ${v === selected ? 'selected' : ''}>${escapeHtml(v)}</option>`)
+      .join('');
+
+  const breadcrumb = [`<li class="breadcrumb-item"><a href="/">All content</a></li>`];
+  const parts = query.folder ? query.folder.split('/') : [];
+  parts.forEach((part, i) => {
+    const folder = parts.slice(0, i + 1).join('/');
+    breadcrumb.push(i === parts.length - 1
+      ? `<li class="breadcrumb-item active">${escapeHtml(part)}</li>`
+      : `<li class="breadcrumb-item"><a href="${escapeHtml(folderLink(folder))}">${escapeHtml(part)}</a></li>`);
+  });
+
+  const sortValue = `${query.sort}-${query.order}`;
+  const sortOptions = [
+    ['title-asc', 'Title (A-Z)'],
+    ['title-desc', 'Title (Z-A)'],
+    ['updated-desc', 'Recently modified'],
+    ['updated-asc', 'Least recently modified'],
+  ].map(([value, label]) => `<option value="${value}" ${value === sortValue ? 'selected' : ''}>${label}</option>`).join('');
 
   return `<!DOCTYPE html>
 <html lang="en">
@@ -206,30 +584,363 @@ function renderListPage(contentList) {
   <div class="container">
     <div class="d-flex justify-content-between align-items-center mb-3">
       <h1>H5P Content</h1>
-      <a href="/new" class="btn btn-success">+ New Content</a>
+      <div class="d-flex gap-2">
+        ${can(user, 'users:manage') ? '<a href="/users" class="btn btn-outline-secondary">Users</a>' : ''}
+        <a href="/account/tokens" class="btn btn-outline-secondary">API tokens</a>
+        ${can(user, 'content:delete') ? '<a href="/trash" class="btn btn-outline-secondary">Trash</a>' : ''}
+        ${can(user, 'content:create') ? '<a href="/new" class="btn btn-success">+ New Content</a>' : ''}
+      </div>
+    </div>
+    ${can(user, 'content:create') ? `<form method="post" action="/upload" enctype="multipart/form-data" class="d-flex gap-2 mb-3">
+      <input type="file" name="file" accept=".h5p" class="form-control" style="max-width: 400px" required>
+      <button type="submit" class="btn btn-outline-success">Upload .h5p</button>
+    </form>
+    <form method="post" action="/import" enctype="multipart/form-data" class="d-flex gap-2 mb-3">
+      <input type="file" name="files" accept=".h5p,.zip" class="form-control" style="max-width: 400px" multiple required>
+      <button type="submit" class="btn btn-outline-success">Bulk import (.h5p files or .zip)</button>
+    </form>` : ''}
+    <form method="get" action="/" class="row g-2 mb-3" id="content-filters">
+      <input type="hidden" name="folder" value="${escapeHtml(query.folder)}">
+      <div class="col-md-3">
+        <input type="search" name="q" value="${escapeHtml(query.q)}" class="form-control" placeholder="Search by title...">
+      </div>
+      <div class="col-md">
+        <select name="tag" class="form-select">${options(result.facets.tags, query.tag, 'All tags')}</select>
+      </div>
+      <div class="col-md">
+        <select name="library" class="form-select">${options(result.facets.libraries, query.library, 'All content types')}</select>
+      </div>
+      <div class="col-md">
+        <select name="author" class="form-select">${options(result.facets.authors, query.author, 'All authors')}</select>
+      </div>
+      <div class="col-md">
+        <select name="license" class="form-select">${options(result.facets.licenses, query.license, 'All licenses')}</select>
+      </div>
+      <div class="col-md">
+        <select name="sortBy" class="form-select">${sortOptions}</select>
+        <input type="hidden" name="sort" value="${query.sort}">
+        <input type="hidden" name="order" value="${query.order}">
+      </div>
+      <div class="col-md-auto d-flex gap-1">
+        <button type="submit" class="btn btn-outline-primary">Go</button>
+        ${filtersActive ? `<a href="${escapeHtml(folderLink(query.folder))}" class="btn btn-outline-secondary" title="Clear filters">&times;</a>` : ''}
+      </div>
+    </form>
+    <nav><ol class="breadcrumb">${breadcrumb.join('')}</ol></nav>
+    <div class="d-flex justify-content-between align-items-center mb-2">
+      <p class="text-muted small mb-0">${result.total} item${result.total === 1 ? '' : 's'}${filtersActive && query.folder ? ' in this folder and its sub folders' : ''}</p>
+      ${result.items.length > 0 ? `<form method="post" action="/download" id="download-selected">
+        <button type="submit" class="btn btn-outline-secondary btn-sm">Download selected as zip</button>
+      </form>` : ''}
     </div>
     <table class="table table-striped">
       <thead>
-        <tr><th>Title</th><th class="text-end">Actions</th></tr>
+        <tr><th></th><th>Title</th><th>Type</th><th>Modified</th><th class="text-end">Actions</th></tr>
       </thead>
       <tbody>
+        ${folderRows}
         ${items}
       </tbody>
     </table>
+    ${renderPagination(result, query)}
+  </div>
+  <script>
+    // Split the combined sort choice into the sort and order parameters
+    document.getElementById('content-filters').addEventListener('submit', function() {
+      const parts = this.sortBy.value.split('-');
+      this.sort.value = parts[0];
+      this.order.value = parts[1];
+      this.sortBy.disabled = true;
+    });
+    const downloadForm = document.getElementById('download-selected');
+    if (downloadForm) {
+      downloadForm.addEventListener('submit', function(event) {
+        if (!document.querySelector('input[name="contentIds"]:checked')) {
+          event.preventDefault();
+          alert('Select the content you want to download first.');
+        }
+      });
+    }
+  </script>
+</body>
+</html>`;
+}
+
+function renderPagination(result, query) {
+  if (result.pageCount <= 1) return '';
+  const link = (page) => {
+    const params = new URLSearchParams();
+    for (const key of ['folder', 'q', 'tag', 'library', 'author', 'license', 'sort', 'order']) {
+      if (query[key]) params.set(key, query[key]);
+    }
+    if (query.pageSize !== DEFAULT_PAGE_SIZE) params.set('pageSize', query.pageSize);
+    params.set('page', page);
+    return `/?${params}`;
+  };
+  const pages = [];
+  for (let p = 1; p <= result.pageCount; p++) {
+    // Show first, last and the pages around the current one
+    if (p === 1 || p === result.pageCount || Math.abs(p - result.page) <= 2) {
+      pages.push(`<li class="page-item ${p === result.page ? 'active' : ''}"><a class="page-link" href="${escapeHtml(link(p))}">${p}</a></li>`);
+    } else if (!pages[pages.length - 1].includes('disabled')) {
+      pages.push('<li class="page-item disabled"><span class="page-link">&hellip;</span></li>');
+    }
+  }
+  return `<nav><ul class="pagination">
+      <li class="page-item ${result.page === 1 ? 'disabled' : ''}"><a class="page-link" href="${escapeHtml(link(result.page - 1))}">&laquo;</a></li>
+      ${pages.join('\n      ')}
+      <li class="page-item ${result.page === result.pageCount ? 'disabled' : ''}"><a class="page-link" href="${escapeHtml(link(result.page + 1))}">&raquo;</a></li>
+    </ul></nav>`;
+}
+
+function renderOrganizePage(entry, facets) {
+  const datalist = (id, values) =>
+    `<datalist id="${id}">${values.map((v) => `<option value="${escapeHtml(v)}">`).join('')}</datalist>`;
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Organize - ${escapeHtml(entry.title)}</title>
+  <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+</head>
+<body>
+  ${NAV}
+  <div class="container" style="max-width: 600px">
+    <h1 class="h3 mb-3">Organize &ldquo;${escapeHtml(entry.title)}&rdquo;</h1>
+    <form method="post" action="/organize/${escapeHtml(entry.id)}">
+      <div class="mb-3">
+        <label for="folder" class="form-label">Folder</label>
+        <input type="text" id="folder" name="folder" value="${escapeHtml(entry.folder || '')}" list="folders" class="form-control" placeholder="e.g. Biology/Module 1">
+        <div class="form-text">Separate nested folders with &ldquo;/&rdquo;. Leave empty for the top level.</div>
+        ${datalist('folders', facets.folders)}
+      </div>
+      <div class="mb-3">
+        <label for="tags" class="form-label">Tags</label>
+        <input type="text" id="tags" name="tags" value="${escapeHtml((entry.tags || []).join(', '))}" class="form-control" placeholder="e.g. quiz, week 1">
+        <div class="form-text">Separate tags with commas.${facets.tags.length ? ` Existing tags: ${facets.tags.map(escapeHtml).join(', ')}` : ''}</div>
+      </div>
+      <button type="submit" class="btn btn-primary">Save</button>
+      <a href="/" class="btn btn-link">Cancel</a>
+    </form>
+    <h2 class="h5 mt-5">Embedding on other sites</h2>
+    <form method="post" action="/organize/${escapeHtml(entry.id)}">
+      <input type="hidden" name="embeddable" value="${entry.embeddable ? 'false' : 'true'}">
+      ${entry.embeddable
+        ? `<p>Other sites can embed this content through <a href="/play/${escapeHtml(entry.id)}">its link</a> and oEmbed. Their visitors play it without logging in.</p>
+      <button type="submit" class="btn btn-outline-danger">Stop embedding</button>`
+        : `<p>Only logged-in users can play this content. Allow embedding to let other sites (e.g. an LMS or wiki) show it to their visitors through oEmbed, without a login.</p>
+      <button type="submit" class="btn btn-outline-primary">Allow embedding</button>`}
+    </form>
+  </div>
+</body>
+</html>`;
+}
+
+function renderUsagePage(entry, usedBy, user) {
+  const link = (p) => (can(user, 'paths:edit')
+    ? `/learning-paths/editor/${encodeURIComponent(p.id)}`
+    : `/learning-paths/play/${encodeURIComponent(p.id)}`);
+  const rows = usedBy.length > 0
+    ? usedBy.map((p) => `
+        <tr>
+          <td><a href="${escapeHtml(link(p))}">${escapeHtml(p.title)}</a></td>
+          <td>${p.nodes.map((n) => escapeHtml(n.title)).join('<br>')}</td>
+        </tr>`).join('')
+    : '<tr><td colspan="2" class="text-center text-muted">No learning path uses this content.</td></tr>';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Where used - ${escapeHtml(entry.title)}</title>
+  <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+</head>
+<body>
+  ${NAV}
+  <div class="container">
+    <h1 class="h3 mb-3">Where &ldquo;${escapeHtml(entry.title)}&rdquo; is used</h1>
+    <table class="table">
+      <thead>
+        <tr><th>Learning path</th><th>Nodes</th></tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+    <a href="/play/${escapeHtml(entry.id)}" class="btn btn-link">&larr; Back to content</a>
+  </div>
+</body>
+</html>`;
+}
+
+function renderDeleteWarningPage(entry, usedBy) {
+  const paths = usedBy.map((p) => `
+        <li>
+          <a href="/learning-paths/editor/${escapeHtml(p.id)}">${escapeHtml(p.title)}</a>
+          <span class="text-muted">(${p.nodes.map((n) => escapeHtml(n.title)).join(', ')})</span>
+        </li>`).join('');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Content is in use</title>
+  <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+</head>
+<body>
+  ${NAV}
+  <div class="container" style="max-width: 700px">
+    <div class="alert alert-warning">
+      <h4>&ldquo;${escapeHtml(entry.title)}&rdquo; is used in ${usedBy.length} learning path${usedBy.length === 1 ? '' : 's'}</h4>
+      <p>Learners will see an empty step in these learning paths until the content is restored from the trash or the paths are changed:</p>
+      <ul>${paths}
+      </ul>
+    </div>
+    <form method="post" action="/delete/${escapeHtml(entry.id)}" class="d-inline">
+      <input type="hidden" name="confirm" value="1">
+      <button type="submit" class="btn btn-danger">Move to trash anyway</button>
+    </form>
+    <a href="/" class="btn btn-link">Cancel</a>
+  </div>
+</body>
+</html>`;
+}
+
+function renderHistoryPage(entry, revisions) {
+  const rows = revisions.map((r, i) => `
+        <tr>
+          <td><input type="radio" name="from" value="${r.revision}" class="form-check-input" ${i === 1 ? 'checked' : ''}></td>
+          <td><input type="radio" name="to" value="${r.revision}" class="form-check-input" ${i === 0 ? 'checked' : ''}></td>
+          <td>${r.revision}</td>
+          <td>${new Date(r.savedAt).toLocaleString()}</td>
+          <td>${r.user ? escapeHtml(r.user.name || r.user.username) : '<span class="text-muted">unknown</span>'}</td>
+          <td>${escapeHtml(r.action)}</td>
+          <td>${escapeHtml(r.title)}</td>
+          <td class="text-end">
+            ${i === 0 ? '<span class="badge bg-success">current</span>' : `<button type="submit" form="restore-${r.revision}" class="btn btn-outline-primary btn-sm">Restore</button>`}
+          </td>
+        </tr>`).join('');
+  const restoreForms = revisions.slice(1).map((r) => `
+    <form method="post" action="/history/${escapeHtml(entry.id)}/restore/${r.revision}" id="restore-${r.revision}" onsubmit="return confirm('Restore revision ${r.revision}? The current version stays in the history.')"></form>`).join('');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>History - ${escapeHtml(entry.title)}</title>
+  <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+</head>
+<body>
+  ${NAV}
+  <div class="container">
+    <h1 class="h3 mb-3">History of &ldquo;${escapeHtml(entry.title)}&rdquo;</h1>
+    ${revisions.length === 0
+      ? '<p class="text-muted">No revisions yet. A revision is recorded every time the content is saved.</p>'
+      : `<form method="get" action="/history/${escapeHtml(entry.id)}/diff">
+      <table class="table table-sm align-middle">
+        <thead>
+          <tr><th>From</th><th>To</th><th>#</th><th>Saved</th><th>By</th><th>Change</th><th>Title</th><th></th></tr>
+        </thead>
+        <tbody>${rows}
+        </tbody>
+      </table>
+      ${revisions.length > 1 ? '<button type="submit" class="btn btn-secondary">Compare selected revisions</button>' : ''}
+    </form>${restoreForms}`}
+    <a href="/play/${escapeHtml(entry.id)}" class="btn btn-link mt-3">&larr; Back to content</a>
+  </div>
+</body>
+</html>`;
+}
+
+function renderDiffPage(contentId, older, newer, diff) {
+  const style = { added: 'background:#e6ffec', removed: 'background:#ffebe9', same: '' };
+  const sign = { added: '+', removed: '-', same: ' ' };
+  const changes = diff.filter((line) => line.type !== 'same').length;
+  const lines = diff
+    .map((line) => `<div style="${style[line.type]}">${sign[line.type]} ${escapeHtml(line.text)}</div>`)
+    .join('');
+  const files = [...new Set([...Object.keys(older.files), ...Object.keys(newer.files)])]
+    .sort()
+    .map((file) => {
+      if (!older.files[file]) return { file, type: 'added' };
+      if (!newer.files[file]) return { file, type: 'removed' };
+      return older.files[file] === newer.files[file] ? null : { file, type: 'changed' };
+    })
+    .filter(Boolean);
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Compare revisions</title>
+  <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+</head>
+<body>
+  ${NAV}
+  <div class="container">
+    <h1 class="h3">Revision ${older.revision} &rarr; ${newer.revision}</h1>
+    <p class="text-muted">
+      ${new Date(older.savedAt).toLocaleString()} &rarr; ${new Date(newer.savedAt).toLocaleString()}
+      &middot; ${changes} changed line${changes === 1 ? '' : 's'}
+    </p>
+    <pre class="border rounded p-2 small">${lines}</pre>
+    ${files.length > 0 ? `<h2 class="h5">Files</h2>
+    <ul>${files.map((f) => `<li>${escapeHtml(f.file)} <span class="text-muted">(${f.type})</span></li>`).join('')}</ul>` : ''}
+    <a href="/history/${escapeHtml(contentId)}" class="btn btn-link">&larr; Back to history</a>
+  </div>
+</body>
+</html>`;
+}
+
+function renderImportReportPage(report) {
+  const badge = { imported: 'success', skipped: 'secondary', failed: 'danger' };
+  const rows = report.results.map((r) => `
+        <tr>
+          <td>${escapeHtml(r.file)}</td>
+          <td>${escapeHtml(r.title || '')}</td>
+          <td><span class="badge bg-${badge[r.status]}">${escapeHtml(r.status)}</span></td>
+          <td>
+            ${r.contentId ? `<a href="/play/${escapeHtml(r.contentId)}">${escapeHtml(r.contentId)}</a>` : ''}
+            ${r.message ? `<pre class="mb-0 small">${escapeHtml(r.message)}</pre>` : ''}
+          </td>
+        </tr>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Import report - MyH5P Player</title>
+  <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+</head>
+<body>
+  ${NAV}
+  <div class="container">
+    <div class="mb-3">
+      <a href="/" class="btn btn-outline-secondary">&larr; Back to list</a>
+    </div>
+    <h2 class="mb-3">Import report</h2>
+    <p>${report.imported} imported, ${report.skipped} skipped, ${report.failed} failed</p>
+    <table class="table table-striped">
+      <thead>
+        <tr><th>File</th><th>Title</th><th>Status</th><th>Details</th></tr>
+      </thead>
+      <tbody>${rows || '<tr><td colspan="4" class="text-center text-muted">No .h5p packages found.</td></tr>'}</tbody>
+    </table>
   </div>
 </body>
 </html>`;
 }
 
-function renderPlayerPage(playerHtml) {
-  // The default player renderer returns a full HTML page.
-  // We wrap it in an iframe approach for proper isolation.
+function renderPlayerPage(contentId, oEmbedHref) {
+  // The player itself is a full HTML page, served by /play/:contentId/frame
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
   <title>Play - MyH5P Player</title>
+  ${oEmbedHref ? `<link rel="alternate" type="application/json+oembed" href="${escapeHtml(oEmbedHref)}">` : ''}
   <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
   <style>
     .h5p-player-wrapper {
@@ -239,8 +950,9 @@ function renderPlayerPage(playerHtml) {
       min-height: 400px;
     }
     .h5p-player-wrapper iframe {
+      display: block;
       width: 100%;
-      min-height: 600px;
+      height: 600px;
       border: none;
     }
   </style>
@@ -252,30 +964,26 @@ function renderPlayerPage(playerHtml) {
       <a href="/" class="btn btn-outline-secondary">&larr; Back to list</a>
     </div>
     <div class="h5p-player-wrapper">
-      <iframe id="h5p-iframe" srcdoc="${escapeHtml(playerHtml)}" allowfullscreen="allowfullscreen"></iframe>
+      <iframe id="h5p-iframe" src="/play/${encodeURIComponent(contentId)}/frame" allowfullscreen="allowfullscreen"></iframe>
     </div>
   </div>
-  <script>
-    // Auto-resize iframe to fit content
-    const iframe = document.getElementById('h5p-iframe');
-    iframe.addEventListener('load', function() {
-      try {
-        const body = iframe.contentDocument.body;
-        const observer = new ResizeObserver(() => {
-          iframe.style.height = Math.max(body.scrollHeight + 50, 400) + 'px';
-        });
-        observer.observe(body);
-        iframe.style.height = Math.max(body.scrollHeight + 50, 400) + 'px';
-      } catch(e) {}
-    });
-  </script>
+  <script src="/static/resize-parent.js"></script>
 </body>
 </html>`;
 }
 
-function renderEditorPage(editorHtml, title) {
-  // The default editor renderer returns a full HTML page with its own form handling.
-  // The editor's built-in JS handles save via AJAX POST back to the current URL.
+function renderEmbedPage(playerHtml, oEmbedHref) {
+  // The player HTML is served as it is, only with the oEmbed link and the
+  // script that passes xAPI statements on to the embedding page added
+  const head = `${oEmbedHref ? `<link rel="alternate" type="application/json+oembed" href="${escapeHtml(oEmbedHref)}">` : ''}
+    <script src="/static/xapi-child.js"></script>
+</head>`;
+  return playerHtml.replace('</head>', head);
+}
+
+function renderEditorPage(editorFrameUrl, title) {
+  // The editor is a full HTML page with its own form handling, served by the
+  // frame route. Its JS saves via AJAX POST back to the frame URL.
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -291,8 +999,9 @@ function renderEditorPage(editorHtml, title) {
       min-height: 500px;
     }
     .h5p-editor-wrapper iframe {
+      display: block;
       width: 100%;
-      min-height: 700px;
+      height: 700px;
       border: none;
     }
   </style>
@@ -305,22 +1014,10 @@ function renderEditorPage(editorHtml, title) {
     </div>
     <h2 class="mb-3">${escapeHtml(title)}</h2>
     <div class="h5p-editor-wrapper">
-      <iframe id="h5p-editor-iframe" srcdoc="${escapeHtml(editorHtml)}" allowfullscreen="allowfullscreen"></iframe>
+      <iframe id="h5p-editor-iframe" src="${escapeHtml(editorFrameUrl)}" allowfullscreen="allowfullscreen"></iframe>
     </div>
   </div>
-  <script>
-    const iframe = document.getElementById('h5p-editor-iframe');
-    iframe.addEventListener('load', function() {
-      try {
-        const body = iframe.contentDocument.body;
-        const observer = new ResizeObserver(() => {
-          iframe.style.height = Math.max(body.scrollHeight + 50, 500) + 'px';
-        });
-        observer.observe(body);
-        iframe.style.height = Math.max(body.scrollHeight + 50, 500) + 'px';
-      } catch(e) {}
-    });
-  </script>
+  <script src="/static/resize-parent.js"></script>
 </body>
 </html>`;
 }
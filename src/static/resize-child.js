@@ -0,0 +1,62 @@
+/**
+ * Frame resizing, frame side.
+ * Included in the H5P player and editor frames. Posts the height of the
+ * content to the embedding page whenever it changes, as
+ * { context: 'myh5p', action: 'resize', height }. The embedding page can ask
+ * for the current height with { context: 'myh5p', action: 'hello' }.
+ * See resize-parent.js for the other side.
+ */
+(function () {
+  'use strict';
+
+  if (window.parent === window) return;
+
+  let lastHeight = 0;
+
+  // H5P sets html and body to 100% of the frame, so measure what is inside
+  // the body instead; otherwise the frame could only ever grow.
+  function contentHeight() {
+    const body = document.body;
+    const style = getComputedStyle(body);
+    let bottom = 0;
+    for (const child of body.children) {
+      if (child.tagName === 'SCRIPT' || getComputedStyle(child).position === 'fixed') continue;
+      bottom = Math.max(bottom, child.getBoundingClientRect().bottom + window.scrollY);
+    }
+    return Math.ceil(bottom + parseFloat(style.marginBottom) + parseFloat(style.paddingBottom));
+  }
+
+  function postHeight(force) {
+    const height = contentHeight();
+    if (!force && height === lastHeight) return;
+    lastHeight = height;
+    window.parent.postMessage({ context: 'myh5p', action: 'resize', height }, '*');
+  }
+
+  function start() {
+    const resizeObserver = new ResizeObserver(() => postHeight());
+    for (const child of document.body.children) resizeObserver.observe(child);
+    // H5P adds elements while loading, e.g. the content container and dialogs
+    new MutationObserver((mutations) => {
+      for (const mutation of mutations) {
+        for (const node of mutation.addedNodes) {
+          if (node.nodeType === Node.ELEMENT_NODE) resizeObserver.observe(node);
+        }
+      }
+      postHeight();
+    }).observe(document.body, { childList: true });
+    window.addEventListener('load', () => postHeight());
+    postHeight(true);
+  }
+
+  window.addEventListener('message', (event) => {
+    if (event.source !== window.parent || !event.data || event.data.context !== 'myh5p') return;
+    if (event.data.action === 'hello') postHeight(true);
+  });
+
+  if (document.body) {
+    start();
+  } else {
+    document.addEventListener('DOMContentLoaded', start);
+  }
+})();
@@ -0,0 +1,36 @@
+/**
+ * Frame resizing, embedding page side.
+ * Sets the height of iframes showing H5P content (play, embed and edit
+ * pages) to the height they post with resize-child.js, so they need no
+ * scrollbar of their own. Works across origins, so other sites can include
+ * this script next to an /embed/:id iframe as well.
+ */
+(function () {
+  'use strict';
+
+  if (window.myh5pResizer) return;
+  window.myh5pResizer = true;
+
+  function findFrame(source) {
+    for (const iframe of document.getElementsByTagName('iframe')) {
+      if (iframe.contentWindow === source) return iframe;
+    }
+    return null;
+  }
+
+  window.addEventListener('message', (event) => {
+    const data = event.data;
+    if (!data || data.context !== 'myh5p' || data.action !== 'resize') return;
+    const height = Number(data.height);
+    const iframe = findFrame(event.source);
+    if (!iframe || !(height > 0)) return;
+    iframe.style.height = `${height}px`;
+    iframe.style.minHeight = '0';
+  });
+
+  // Frames that loaded before this script did report their height already,
+  // so ask all of them again
+  for (const iframe of document.getElementsByTagName('iframe')) {
+    if (iframe.contentWindow) iframe.contentWindow.postMessage({ context: 'myh5p', action: 'hello' }, '*');
+  }
+})();
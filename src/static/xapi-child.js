@@ -0,0 +1,23 @@
+/**
+ * Sends the xAPI statements of H5P content to the embedding page, as
+ * { context: 'myh5p', action: 'xAPI', statement }. Once the content is
+ * loaded it also posts { context: 'myh5p', action: 'ready', scorable }, so
+ * the embedding page knows whether to expect a score at all.
+ * Included in the embed page (/embed/:id), after the H5P scripts. The
+ * learning path player uses it to record scores and completion of H5P nodes.
+ */
+(function () {
+  'use strict';
+
+  if (window.parent === window || !window.H5P || !H5P.externalDispatcher) return;
+
+  H5P.externalDispatcher.on('xAPI', (event) => {
+    window.parent.postMessage({ context: 'myh5p', action: 'xAPI', statement: event.data.statement }, '*');
+  });
+
+  window.addEventListener('load', () => {
+    const instance = (H5P.instances || [])[0];
+    const scorable = !!instance && typeof instance.getMaxScore === 'function' && instance.getMaxScore() > 0;
+    window.parent.postMessage({ context: 'myh5p', action: 'ready', scorable }, '*');
+  });
+})();
@@ -0,0 +1,198 @@
+const fs = require('fs').promises;
+const path = require('path');
+const contentIndex = require('./contentIndex');
+const contentHistory = require('./contentHistory');
+const pathStorage = require('./learningPath/storage');
+const learningProgress = require('./learningPath/progress');
+const scormData = require('./learningPath/scormData');
+const cmi5 = require('./learningPath/cmi5');
+const User = require('./User');
+
+const TRASH_FILE = path.resolve(__dirname, '..', 'data', 'trash.json');
+
+// Purges after the retention period aren't asked for by anyone
+const RETENTION_USER = new User({ id: 'trash-retention', username: 'system', name: 'Trash retention', email: '', role: 'admin' });
+
+/**
+ * Trash bin for deleted H5P content and learning paths (data/trash.json).
+ *
+ * Deleted H5P content stays in content storage, together with the learners'
+ * states and results, and is only marked as trashed in the content index,
+ * which hides it (see contentIndex.js). Deleted learning paths are kept in
+ * the trash file itself. Items are purged for good once they are older than
+ * the retention period.
+ */
+class Trash {
+  constructor() {
+    // Serializes writes so concurrent deletes don't overwrite each other
+    this._queue = Promise.resolve();
+  }
+
+  async _read() {
+    try {
+      return JSON.parse(await fs.readFile(TRASH_FILE, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  async _write(items) {
+    await fs.mkdir(path.dirname(TRASH_FILE), { recursive: true });
+    await fs.writeFile(TRASH_FILE, JSON.stringify(items, null, 2), 'utf8');
+  }
+
+  _enqueue(task) {
+    const result = this._queue.then(task);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+  _take(type, id) {
+    return this._enqueue(async () => {
+      const items = await this._read();
+      const index = items.findIndex((item) => item.type === type && item.id === String(id));
+      if (index === -1) {
+        const err = new Error(`${type === 'content' ? 'Content' : 'Learning path'} ${id} is not in the trash`);
+        err.code = 'ENOENT';
+        throw err;
+      }
+      const [item] = items.splice(index, 1);
+      await this._write(items);
+      return item;
+    });
+  }
+
+  _add(item) {
+    return this._enqueue(async () => {
+      const items = (await this._read()).filter((i) => !(i.type === item.type && i.id === item.id));
+      items.push(item);
+      await this._write(items);
+      return item;
+    });
+  }
+
+  /**
+   * Items in the trash, most recently deleted first.
+   * @param {'content'|'path'} [type] - only items of this type
+   */
+  async list(type) {
+    const items = await this._read();
+    return items
+      .filter((item) => !type || item.type === type)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+  }
+
+  /**
+   * Move H5P content to the trash.
+   * @param {import('@lumieducation/h5p-server').H5PEditor} h5pEditor
+   * @param {string} contentId
+   * @param {import('@lumieducation/h5p-server').IUser} user
+   */
+  async trashContent(h5pEditor, contentId, user) {
+    const id = String(contentId);
+    const entry = (await contentIndex.get(id)) || { id, title: `Content ${id}` };
+    await contentIndex.setTrashed(h5pEditor, id, true);
+    return this._add({
+      type: 'content',
+      id,
+      title: entry.title,
+      deletedAt: new Date().toISOString(),
+      deletedBy: user ? { id: user.id, username: user.username, name: user.name } : null,
+    });
+  }
+
+  /**
+   * Move a learning path to the trash.
+   */
+  async trashPath(pathId, user) {
+    const data = await pathStorage.get(pathId);
+    await pathStorage.delete(pathId);
+    return this._add({
+      type: 'path',
+      id: String(data.id),
+      title: data.title,
+      deletedAt: new Date().toISOString(),
+      deletedBy: user ? { id: user.id, username: user.username, name: user.name } : null,
+      data,
+    });
+  }
+
+  /**
+   * Take an item out of the trash and put it back where it was.
+   * @param {import('@lumieducation/h5p-server').H5PEditor} h5pEditor
+   * @param {'content'|'path'} type
+   * @param {string} id
+   * @param {import('@lumieducation/h5p-server').IUser} user
+   */
+  async restore(h5pEditor, type, id, user) {
+    const item = await this._take(type, id);
+    try {
+      if (type === 'content' && await h5pEditor.contentStorage.contentExists(item.id)) {
+        await contentIndex.setTrashed(h5pEditor, item.id, false);
+      } else if (type === 'content') {
+        // Content trashed by earlier versions was deleted from storage; it
+        // comes back from its latest revision
+        const [latest] = await contentHistory.list(item.id);
+        if (!latest) throw new Error(`No saved revision of content ${item.id} to restore`);
+        await contentHistory.restore(h5pEditor, item.id, latest.revision, user, 'restored from trash');
+        await contentIndex.update(h5pEditor, item.id);
+        await contentIndex.organize(item.id, item.data);
+      } else {
+        await pathStorage.restore(item.data);
+      }
+      return item;
+    } catch (err) {
+      // Keep the item in the trash if it couldn't be restored
+      await this._add(item);
+      throw err;
+    }
+  }
+
+  /**
+   * Delete an item in the trash for good. For content, that includes the
+   * learners' states and results.
+   * @param {import('@lumieducation/h5p-server').H5PEditor} h5pEditor
+   * @param {'content'|'path'} type
+   * @param {string} id
+   * @param {import('@lumieducation/h5p-server').IUser} [user] - who purges it; the retention period if not given
+   */
+  async purge(h5pEditor, type, id, user = RETENTION_USER) {
+    const item = await this._take(type, id);
+    try {
+      if (type === 'content') {
+        if (await h5pEditor.contentStorage.contentExists(item.id)) {
+          await h5pEditor.deleteContent(item.id, user);
+        }
+        await contentIndex.remove(h5pEditor, item.id);
+        await contentHistory.remove(item.id);
+      } else {
+        await learningProgress.removePath(item.id);
+        await scormData.removePath(item.id);
+        await cmi5.removePath(item.id);
+      }
+      return item;
+    } catch (err) {
+      // Keep the item in the trash if it couldn't be deleted
+      await this._add(item);
+      throw err;
+    }
+  }
+
+  /**
+   * Purge all items that were deleted more than `retentionDays` ago.
+   * @param {import('@lumieducation/h5p-server').H5PEditor} h5pEditor
+   * @param {number} retentionDays
+   * @returns {Promise<number>} the number of purged items
+   */
+  async purgeExpired(h5pEditor, retentionDays) {
+    const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000).toISOString();
+    const expired = (await this._read()).filter((item) => item.deletedAt < cutoff);
+    for (const item of expired) {
+      await this.purge(h5pEditor, item.type, item.id);
+    }
+    return expired.length;
+  }
+}
+
+module.exports = new Trash();
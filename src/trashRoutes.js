@@ -0,0 +1,171 @@
+const express = require('express');
+const trash = require('./trash');
+const pathStorage = require('./learningPath/storage');
+const { can, renderForbiddenPage } = require('./auth/permissions');
+
+// Which permission is needed to restore or purge each type of item
+const PERMISSIONS = { content: 'content:delete', path: 'paths:edit' };
+
+/**
+ * Creates the routes of the trash bin page.
+ * @param {import('@lumieducation/h5p-server').H5PEditor} h5pEditor
+ * @param {{ retentionDays: number }} options
+ * @returns {express.Router}
+ */
+function createTrashRoutes(h5pEditor, { retentionDays }) {
+  const router = express.Router();
+
+  const allowedTypes = (user) => Object.keys(PERMISSIONS).filter((type) => can(user, PERMISSIONS[type]));
+
+  router.get('/trash', async (req, res) => {
+    try {
+      const types = allowedTypes(req.user);
+      if (types.length === 0) return res.status(403).send(renderForbiddenPage());
+      const items = (await trash.list()).filter((item) => types.includes(item.type));
+      for (const item of items.filter((i) => i.type === 'content')) {
+        item.usedBy = await pathStorage.findByContentId(item.id);
+      }
+      res.send(renderTrashPage(items, retentionDays));
+    } catch (err) {
+      res.status(500).send(renderErrorPage('Error loading trash', err.message));
+    }
+  });
+
+  router.post('/trash/:type/:id/:action(restore|purge)', async (req, res) => {
+    const { type, id, action } = req.params;
+    if (!PERMISSIONS[type]) {
+      return res.status(404).send(renderErrorPage('Not found', `Unknown item type "${type}".`));
+    }
+    if (!can(req.user, PERMISSIONS[type])) {
+      return res.status(403).send(renderForbiddenPage());
+    }
+    try {
+      if (action === 'restore') {
+        await trash.restore(h5pEditor, type, id, req.user);
+      } else {
+        await trash.purge(h5pEditor, type, id, req.user);
+      }
+      res.redirect('/trash');
+    } catch (err) {
+      const status = err.code === 'ENOENT' ? 404 : 500;
+      res.status(status).send(renderErrorPage(`Error ${action === 'restore' ? 'restoring' : 'purging'} item`, err.message));
+    }
+  });
+
+  router.post('/trash/empty', async (req, res) => {
+    try {
+      const types = allowedTypes(req.user);
+      if (types.length === 0) return res.status(403).send(renderForbiddenPage());
+      for (const item of await trash.list()) {
+        if (types.includes(item.type)) await trash.purge(h5pEditor, item.type, item.id, req.user);
+      }
+      res.redirect('/trash');
+    } catch (err) {
+      res.status(500).send(renderErrorPage('Error emptying trash', err.message));
+    }
+  });
+
+  return router;
+}
+
+// --- HTML Rendering ---
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const NAV = `
+  <nav class="navbar navbar-dark bg-dark mb-4">
+    <div class="container-fluid">
+      <a class="navbar-brand" href="/">MyH5P Player</a>
+      <div class="d-flex gap-2">
+        <a href="/" class="btn btn-outline-light btn-sm">H5P Content</a>
+        <a href="/learning-paths" class="btn btn-outline-info btn-sm">Learning Paths</a>
+        <form method="post" action="/logout" class="d-inline">
+          <button type="submit" class="btn btn-outline-secondary btn-sm">Log out</button>
+        </form>
+      </div>
+    </div>
+  </nav>`;
+
+function renderErrorPage(title, message) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title)}</title>
+  <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+</head>
+<body>
+  ${NAV}
+  <div class="container">
+    <div class="alert alert-danger">
+      <h4>${escapeHtml(title)}</h4>
+      <pre>${escapeHtml(message)}</pre>
+    </div>
+    <a href="/trash" class="btn btn-outline-secondary">&larr; Back to trash</a>
+  </div>
+</body>
+</html>`;
+}
+
+function renderTrashPage(items, retentionDays) {
+  const typeLabel = { content: 'H5P content', path: 'Learning path' };
+  const purgeDate = (item) => new Date(new Date(item.deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000);
+  const rows = items.length > 0
+    ? items.map((item) => `
+        <tr>
+          <td>
+            ${escapeHtml(item.title)}
+            ${item.usedBy && item.usedBy.length > 0 ? `<div class="small text-danger">Still used in: ${item.usedBy.map((p) => escapeHtml(p.title)).join(', ')}</div>` : ''}
+          </td>
+          <td>${typeLabel[item.type]}</td>
+          <td>${new Date(item.deletedAt).toLocaleString()}</td>
+          <td>${item.deletedBy ? escapeHtml(item.deletedBy.name || item.deletedBy.username) : ''}</td>
+          <td>${purgeDate(item).toLocaleDateString()}</td>
+          <td class="text-end">
+            <form method="post" action="/trash/${item.type}/${escapeHtml(item.id)}/restore" class="d-inline">
+              <button type="submit" class="btn btn-outline-primary btn-sm">Restore</button>
+            </form>
+            <form method="post" action="/trash/${item.type}/${escapeHtml(item.id)}/purge" class="d-inline" onsubmit="return confirm('${item.usedBy && item.usedBy.length > 0 ? 'Learning paths still use this content. ' : ''}Delete this item for good? This cannot be undone.')">
+              <button type="submit" class="btn btn-danger btn-sm">Delete for good</button>
+            </form>
+          </td>
+        </tr>`).join('\n')
+    : '<tr><td colspan="6" class="text-center text-muted">The trash is empty.</td></tr>';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Trash - MyH5P Player</title>
+  <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet">
+</head>
+<body>
+  ${NAV}
+  <div class="container">
+    <div class="d-flex justify-content-between align-items-center mb-3">
+      <h1>Trash</h1>
+      ${items.length > 0 ? `<form method="post" action="/trash/empty" onsubmit="return confirm('Delete all items in the trash for good? This cannot be undone.')">
+        <button type="submit" class="btn btn-outline-danger">Empty trash</button>
+      </form>` : ''}
+    </div>
+    <p class="text-muted">Deleted items are kept for ${retentionDays} days and then deleted for good.</p>
+    <table class="table table-striped">
+      <thead>
+        <tr><th>Title</th><th>Type</th><th>Deleted</th><th>By</th><th>Purged on</th><th class="text-end">Actions</th></tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  </div>
+</body>
+</html>`;
+}
+
+module.exports = createTrashRoutes;